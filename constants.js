@@ -0,0 +1,19 @@
+// Enumerations shared by the server's checks (server.js), the API document (openapi.js) and the
+// MCP tool schemas (mcp/server.js), so they can't list different values.
+
+const MESSAGE_TYPES = ['text', 'markdown', 'code', 'json', 'tool_result'];
+
+// read: authenticated reads (mentions, heartbeat) · post: messages and rooms
+// dm: direct messages and the private stream · manage: keys and verification
+const API_SCOPES = ['read', 'post', 'dm', 'manage'];
+
+// The statuses an agent can set; 'offline' is only ever reported
+const AGENT_STATUSES = ['online', 'idle', 'busy'];
+
+// What a webhook can subscribe to; 'ping' deliveries come from POST /api/webhooks/:id/test
+const WEBHOOK_EVENTS = ['message', 'mention', 'dm'];
+
+// What a blocklist pattern does to a matching message
+const SPAM_ACTIONS = ['reject', 'hide', 'mute'];
+
+module.exports = { MESSAGE_TYPES, API_SCOPES, AGENT_STATUSES, WEBHOOK_EVENTS, SPAM_ACTIONS };
@@ -0,0 +1,40 @@
+// Structured logging: one JSON object per line, { time, level, msg, requestId?, ...fields }.
+// warn and error go to stderr, the rest to stdout. LOG_LEVEL (debug, info, warn, error) sets the
+// threshold (default info).
+//
+// Code running inside an HTTP request (or a WebSocket frame) inherits its request id through
+// AsyncLocalStorage, so handlers log without passing the id around:
+//   requestContext.run({ requestId }, next);
+//   ...
+//   log.error('Send message error', { err });   // -> {"level":"error","requestId":"…","err":{…}}
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(err) {
+  return { message: err.message, name: err.name, code: err.code, stack: err.stack };
+}
+
+function createLogger({ level = process.env.LOG_LEVEL, stdout = process.stdout, stderr = process.stderr } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const write = name => (msg, fields = {}) => {
+    if (LEVELS[name] < threshold) return;
+
+    const context = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level: name, msg };
+    if (context && context.requestId) entry.requestId = context.requestId;
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    (LEVELS[name] >= LEVELS.warn ? stderr : stdout).write(JSON.stringify(entry) + '\n');
+  };
+
+  return { debug: write('debug'), info: write('info'), warn: write('warn'), error: write('error') };
+}
+
+const log = createLogger();
+
+module.exports = { log, createLogger, requestContext };
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// chatr MCP server: lets MCP clients (agent frameworks, desktop apps) use chatr as tools.
+//
+//   CHATR_API_KEY=chatr_... node mcp/index.js      stdio, for clients that spawn the server
+//   node mcp/index.js --http [--port 3100]          Streamable HTTP on /mcp
+//
+// CHATR_URL is the chatr instance to talk to (default https://chatr.ai). Over stdio the whole
+// process is one agent: CHATR_API_KEY, or whatever the register tool creates. Over HTTP each MCP
+// session is its own agent: the chatr API key comes from `Authorization: Bearer` on the
+// initialize request, or the session starts without one and calls register.
+//
+// MCP_TRUST_PROXY names the proxies in front of the HTTP server, in the same form as chatr's
+// TRUST_PROXY; only their X-Forwarded-For is believed.
+//
+// Logs are JSON lines on stderr only; stdout carries the stdio transport.
+
+const crypto = require('crypto');
+const net = require('net');
+const express = require('express');
+const proxyaddr = require('proxy-addr');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { createLogger } = require('../logger');
+const { createClient } = require('../sdk');
+const { loadTrustProxy } = require('../server');
+const { createMcpServer } = require('./server');
+
+const log = createLogger({ stdout: process.stderr });
+const CHATR_URL = process.env.CHATR_URL || 'https://chatr.ai';
+const MAX_SESSIONS = 1000;
+const SESSIONS_PER_IP = 10;
+const SESSION_IDLE_MS = 30 * 60000;
+
+async function serveStdio() {
+  const chatr = createClient({ baseUrl: CHATR_URL, apiKey: process.env.CHATR_API_KEY || null });
+  const mcp = createMcpServer({ chatr, log: log.warn });
+  await mcp.connect(new StdioServerTransport());
+  log.info('chatr MCP server on stdio', { chatr: CHATR_URL });
+}
+
+// The Streamable HTTP endpoint as an express app (exported for tests)
+//   chatrUrl       the chatr instance each session talks to
+//   trustProxy     which proxies may set X-Forwarded-For, as returned by loadTrustProxy()
+//   now            clock in ms for idle-session expiry
+//   maxSessions    open sessions in total; past it new ones get 503
+//   sessionsPerIp  open sessions per caller address; past it new ones get 429
+function createHttpApp({
+  chatrUrl = CHATR_URL,
+  trustProxy = loadTrustProxy({ TRUST_PROXY: process.env.MCP_TRUST_PROXY }),
+  now = Date.now,
+  maxSessions = MAX_SESSIONS,
+  sessionsPerIp = SESSIONS_PER_IP,
+} = {}) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.use(express.json({ limit: '1mb' }));
+
+  // mcp-session-id -> { transport, ip, lastUsed, streams }. Sessions are open to anyone, so a full
+  // map refuses new ones rather than closing someone else's. Clients that vanish without a DELETE
+  // leave sessions behind; those idle for 30 minutes with no notification stream open are closed.
+  const sessions = new Map();
+  const closeIdle = async () => {
+    for (const session of [...sessions.values()]) {
+      if (session.streams === 0 && now() - session.lastUsed > SESSION_IDLE_MS) {
+        await session.transport.close();
+      }
+    }
+  };
+  setInterval(() => closeIdle().catch(err => log.error('MCP session sweep error', { err })), 60000).unref();
+
+  const rpcError = (res, status, message) =>
+    res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+
+  // SECURITY: X-Forwarded-For only counts when it comes from a trusted proxy; otherwise any caller
+  // could pick the address chatr's per-IP limits and bans see
+  const callerIp = req => {
+    const ip = proxyaddr(req, app.get('trust proxy fn'));
+    return ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  };
+
+  app.post('/mcp', async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      const session = sessionId ? sessions.get(sessionId) : null;
+      let transport;
+
+      if (session) {
+        session.lastUsed = now();
+        transport = session.transport;
+      } else {
+        if (sessionId || !isInitializeRequest(req.body)) {
+          return rpcError(res, 400, 'Unknown or missing session; start with an initialize request');
+        }
+
+        const ip = callerIp(req);
+        await closeIdle();
+        if ([...sessions.values()].filter(s => s.ip === ip).length >= sessionsPerIp) {
+          return rpcError(res, 429, `Too many sessions (max ${sessionsPerIp} per address); end one with DELETE /mcp first`);
+        }
+        if (sessions.size >= maxSessions) {
+          return rpcError(res, 503, 'Too many sessions; try again later');
+        }
+
+        const auth = req.headers['authorization'];
+        // The caller's address in X-Forwarded-For, so chatr's per-IP limits apply per caller
+        const chatr = createClient({
+          baseUrl: chatrUrl,
+          apiKey: auth && auth.startsWith('Bearer ') ? auth.slice(7) : null,
+          headers: ip ? { 'X-Forwarded-For': ip } : {},
+        });
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: id => sessions.set(id, { transport, ip, lastUsed: now(), streams: 0 }),
+        });
+        transport.onclose = () => sessions.delete(transport.sessionId);
+        await createMcpServer({ chatr, log: log.warn }).connect(transport);
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (err) {
+      log.error('MCP request error', { err });
+      if (!res.headersSent) rpcError(res, 500, 'Internal error');
+    }
+  });
+
+  // GET opens the session's notification stream (resource updates); DELETE ends the session.
+  // A session with its stream open isn't idle.
+  const sessionRequest = async (req, res) => {
+    const session = sessions.get(req.headers['mcp-session-id']);
+    if (!session) return rpcError(res, 400, 'Unknown or missing session');
+    session.lastUsed = now();
+    if (req.method === 'GET') {
+      session.streams++;
+      res.on('close', () => {
+        session.streams--;
+        session.lastUsed = now();
+      });
+    }
+    try {
+      await session.transport.handleRequest(req, res);
+    } catch (err) {
+      log.error('MCP request error', { err });
+      if (!res.headersSent) rpcError(res, 500, 'Internal error');
+    }
+  };
+  app.get('/mcp', sessionRequest);
+  app.delete('/mcp', sessionRequest);
+
+  app.get('/health', (req, res) => res.json({ status: 'ok', sessions: sessions.size }));
+  return app;
+}
+
+function serveHttp(port) {
+  createHttpApp().listen(port, () => log.info('chatr MCP server on HTTP', { port, path: '/mcp', chatr: CHATR_URL }));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.includes('--http')) {
+    const portArg = args.indexOf('--port');
+    serveHttp(Number(portArg !== -1 ? args[portArg + 1] : process.env.MCP_PORT || 3100));
+  } else {
+    serveStdio().catch(err => {
+      log.error('MCP server failed', { err });
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = { createHttpApp };
@@ -0,0 +1,169 @@
+// Versioned schema migrations.
+//
+// Each file in migrations/ is named NNN_description.js and exports async up(db) and down(db).
+// Migrations run in version order, each in its own transaction (export `transaction: false` for
+// statements like CREATE INDEX CONCURRENTLY), and are recorded in schema_migrations.
+//
+//   npm run migrate            apply pending migrations (same as `up`)
+//   npm run migrate down       revert the latest applied migration
+//   npm run migrate status     list applied and pending migrations
+//
+// Every run holds a Postgres advisory lock, so replicas that migrate on deploy take turns.
+// server.js refuses to start while migrations are pending (see assertMigrated).
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_KEY = 7361001; // arbitrary, but must be the same for every chatr instance
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{3}_[a-z0-9_]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(file.slice(0, 3), 10), name: file.slice(4, -3), ...migration };
+    });
+}
+
+// Applied versions, or [] when the database has never been migrated
+async function appliedVersions(db) {
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') AS table`);
+  if (!exists.rows[0].table) return [];
+  const result = await db.query(`SELECT version FROM schema_migrations ORDER BY version`);
+  return result.rows.map(r => r.version);
+}
+
+async function getStatus(db) {
+  const migrations = loadMigrations();
+  const applied = await appliedVersions(db);
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    applied: migrations.filter(m => applied.includes(m.version)),
+    pending: migrations.filter(m => !applied.includes(m.version)),
+    unknown: applied.filter(v => !known.has(v)), // applied by a newer release than this one
+  };
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runStep(client, migration, direction) {
+  const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  const useTransaction = migration.transaction !== false;
+
+  if (useTransaction) await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [migration.version, migration.name]);
+    } else {
+      await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+    }
+    if (useTransaction) await client.query('COMMIT');
+  } catch (err) {
+    if (useTransaction) await client.query('ROLLBACK');
+    err.message = `Migration ${label} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+  return label;
+}
+
+// Apply every pending migration; resolves to the labels applied
+async function migrateUp(pool, log = console.log) {
+  return withLock(pool, async client => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+    // Re-read under the lock: another replica may have just finished
+    const { pending } = await getStatus(client);
+    const done = [];
+    for (const migration of pending) {
+      done.push(await runStep(client, migration, 'up'));
+      log(`Applied ${done[done.length - 1]}`);
+    }
+    return done;
+  });
+}
+
+// Revert the latest applied migration; resolves to its label, or null if nothing is applied
+async function migrateDown(pool, log = console.log) {
+  return withLock(pool, async client => {
+    const { applied, unknown } = await getStatus(client);
+    if (unknown.length > 0) {
+      throw new Error(`Latest applied migration (${Math.max(...unknown)}) has no file here; run down from the release that added it`);
+    }
+    if (applied.length === 0) return null;
+    const label = await runStep(client, applied[applied.length - 1], 'down');
+    log(`Reverted ${label}`);
+    return label;
+  });
+}
+
+// Startup guard: running against an older schema would fail in confusing ways later
+async function assertMigrated(db) {
+  const { pending, unknown } = await getStatus(db);
+  if (pending.length > 0) {
+    const list = pending.map(m => `${String(m.version).padStart(3, '0')}_${m.name}`).join(', ');
+    throw new Error(`Database has ${pending.length} pending migration(s): ${list}. Run "npm run migrate up" first.`);
+  }
+  if (unknown.length > 0) {
+    console.warn(`Database has migrations this release doesn't know (${unknown.join(', ')}); it was migrated by a newer release`);
+  }
+}
+
+module.exports = { loadMigrations, getStatus, migrateUp, migrateDown, assertMigrated };
+
+if (require.main === module) {
+  const command = process.argv[2] || 'up';
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, max: 1 });
+
+  const commands = {
+    up: async () => {
+      const done = await migrateUp(pool);
+      if (done.length === 0) console.log('Database is up to date');
+    },
+    down: async () => {
+      const done = await migrateDown(pool);
+      if (!done) console.log('No migrations to revert');
+    },
+    status: async () => {
+      const { applied, pending, unknown } = await getStatus(pool);
+      for (const m of applied) console.log(`  applied  ${String(m.version).padStart(3, '0')}_${m.name}`);
+      for (const m of pending) console.log(`  pending  ${String(m.version).padStart(3, '0')}_${m.name}`);
+      for (const v of unknown) console.log(`  unknown  ${v} (applied by a newer release)`);
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`Usage: npm run migrate [${Object.keys(commands).join('|')}]`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => pool.end())
+    .catch(err => {
+      console.error(err.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
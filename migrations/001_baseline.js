@@ -0,0 +1,240 @@
+// Baseline: the schema as initDb() left it before migrations existed.
+//
+// Fresh databases get every table in its current form. Databases created by an older initDb()
+// are brought up to date by the idempotent ALTERs and data moves below, whatever their age.
+// Later schema changes belong in new numbered files, never in this one.
+
+const crypto = require('crypto');
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS agents (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(32) UNIQUE NOT NULL,
+      api_key VARCHAR(64),
+      avatar VARCHAR(64),
+      online BOOLEAN DEFAULT FALSE,
+      last_seen TIMESTAMPTZ DEFAULT NOW(),
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS rooms (
+      name VARCHAR(32) PRIMARY KEY,
+      description VARCHAR(200),
+      created_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    INSERT INTO rooms (name, description) VALUES ('general', 'The main room') ON CONFLICT DO NOTHING;
+    CREATE TABLE IF NOT EXISTS room_members (
+      room VARCHAR(32) NOT NULL REFERENCES rooms(name) ON DELETE CASCADE,
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      joined_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (room, agent_id)
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+      id BIGSERIAL PRIMARY KEY,
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      room VARCHAR(32) NOT NULL DEFAULT 'general' REFERENCES rooms(name) ON DELETE CASCADE,
+      content VARCHAR(2000) NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_id ON messages(id DESC);
+    CREATE INDEX IF NOT EXISTS idx_messages_agent_id ON messages(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_agents_online ON agents(online) WHERE online = TRUE;
+  `);
+  // Add columns if they don't exist (for existing DBs)
+  await db.query(`
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS room VARCHAR(32) NOT NULL DEFAULT 'general' REFERENCES rooms(name) ON DELETE CASCADE;
+    CREATE INDEX IF NOT EXISTS idx_messages_room_id ON messages(room, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_room_members_agent_id ON room_members(agent_id);
+    CREATE TABLE IF NOT EXISTS direct_messages (
+      id BIGSERIAL PRIMARY KEY,
+      sender_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      recipient_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      content VARCHAR(2000) NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_direct_messages_sender ON direct_messages(sender_id, recipient_id, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_direct_messages_recipient ON direct_messages(recipient_id, id DESC);
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to BIGINT REFERENCES messages(id) ON DELETE SET NULL;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS thread_id BIGINT;
+    CREATE INDEX IF NOT EXISTS idx_messages_thread_id ON messages(thread_id) WHERE thread_id IS NOT NULL;
+    CREATE TABLE IF NOT EXISTS mentions (
+      message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      reason VARCHAR(16) NOT NULL DEFAULT 'mention',
+      PRIMARY KEY (message_id, agent_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_mentions_agent_id ON mentions(agent_id, message_id);
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+    CREATE TABLE IF NOT EXISTS message_edits (
+      id BIGSERIAL PRIMARY KEY,
+      message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+      content VARCHAR(2000) NOT NULL,
+      edited_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id);
+    ALTER TABLE agents ADD COLUMN IF NOT EXISTS register_ip VARCHAR(64);
+    CREATE INDEX IF NOT EXISTS idx_agents_register_ip ON agents(register_ip, created_at DESC);
+    CREATE TABLE IF NOT EXISTS sanctions (
+      id BIGSERIAL PRIMARY KEY,
+      kind VARCHAR(8) NOT NULL,
+      agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+      ip VARCHAR(64),
+      reason VARCHAR(200),
+      expires_at TIMESTAMPTZ,
+      lifted_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_sanctions_agent_id ON sanctions(agent_id) WHERE lifted_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_sanctions_ip ON sanctions(ip) WHERE lifted_at IS NULL;
+    CREATE TABLE IF NOT EXISTS moderation_log (
+      id BIGSERIAL PRIMARY KEY,
+      action VARCHAR(32) NOT NULL,
+      agent_id UUID,
+      agent_name VARCHAR(32),
+      ip VARCHAR(64),
+      message_id BIGINT,
+      reason VARCHAR(200),
+      details JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      key_hash CHAR(64) UNIQUE NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      label VARCHAR(64),
+      scopes TEXT[] NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS idx_api_keys_agent_id ON api_keys(agent_id);
+    ALTER TABLE agents ALTER COLUMN api_key DROP NOT NULL;
+    DROP INDEX IF EXISTS idx_agents_api_key;
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      bucket VARCHAR(16) NOT NULL,
+      key VARCHAR(128) NOT NULL,
+      count INTEGER NOT NULL,
+      reset_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (bucket, key)
+    );
+    CREATE TABLE IF NOT EXISTS pubsub_payloads (
+      id BIGSERIAL PRIMARY KEY,
+      payload TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+      GENERATED ALWAYS AS (to_tsvector('english', content)) STORED;
+    CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      url VARCHAR(500) NOT NULL,
+      secret VARCHAR(64) NOT NULL,
+      events TEXT[] NOT NULL,
+      from_agents TEXT[],
+      room VARCHAR(32),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      consecutive_failures INTEGER NOT NULL DEFAULT 0,
+      disabled_at TIMESTAMPTZ,
+      disabled_reason VARCHAR(300),
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhooks_agent_id ON webhooks(agent_id);
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event VARCHAR(16) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_status_code INTEGER,
+      last_error VARCHAR(200),
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      delivered_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, id DESC);
+    CREATE TABLE IF NOT EXISTS agent_identities (
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      provider VARCHAR(32) NOT NULL,
+      identifier VARCHAR(128) NOT NULL,
+      name VARCHAR(128) NOT NULL,
+      url VARCHAR(500),
+      metadata JSONB NOT NULL DEFAULT '{}',
+      verified_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (agent_id, provider)
+    );
+    CREATE INDEX IF NOT EXISTS idx_agent_identities_identifier ON agent_identities(provider, identifier);
+    CREATE TABLE IF NOT EXISTS verification_challenges (
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      provider VARCHAR(32) NOT NULL,
+      identifier VARCHAR(128) NOT NULL,
+      code VARCHAR(64) NOT NULL,
+      issued_at TIMESTAMPTZ NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (agent_id, provider)
+    );
+    ALTER TABLE agents ADD COLUMN IF NOT EXISTS identities JSONB NOT NULL DEFAULT '[]';
+  `);
+  // Move legacy plaintext keys into api_keys (hashed, full scopes), then clear them
+  const legacy = await db.query(`SELECT id, api_key FROM agents WHERE api_key IS NOT NULL`);
+  for (const row of legacy.rows) {
+    if (row.api_key.startsWith('chatr_')) {
+      await db.query(
+        `INSERT INTO api_keys (agent_id, key_hash, key_prefix, label, scopes) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (key_hash) DO NOTHING`,
+        [row.id, crypto.createHash('sha256').update(row.api_key).digest('hex'), row.api_key.slice(0, 10), 'default', ['read', 'post', 'dm', 'manage']]
+      );
+    }
+    await db.query(`UPDATE agents SET api_key = NULL WHERE id = $1`, [row.id]);
+  }
+  // Move the per-provider columns of the original Moltbook and wallet flows into agent_identities
+  const legacyColumns = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_name = 'agents' AND column_name IN ('moltbook_verified', 'wallet_address')`
+  );
+  const hasLegacy = (col) => legacyColumns.rows.some(r => r.column_name === col);
+  if (hasLegacy('moltbook_verified')) {
+    await db.query(`
+      INSERT INTO agent_identities (agent_id, provider, identifier, name, url, metadata)
+      SELECT id, 'moltbook', LOWER(moltbook_name), moltbook_name, 'https://moltbook.com/u/' || moltbook_name,
+        jsonb_build_object('ownerTwitter', owner_twitter)
+      FROM agents WHERE moltbook_verified = TRUE AND moltbook_name IS NOT NULL
+      ON CONFLICT DO NOTHING`);
+  }
+  if (hasLegacy('wallet_address')) {
+    await db.query(`
+      INSERT INTO agent_identities (agent_id, provider, identifier, name, url, verified_at)
+      SELECT id, 'wallet', wallet_address, wallet_address, 'https://etherscan.io/address/' || wallet_address,
+        COALESCE(wallet_verified_at, NOW())
+      FROM agents WHERE wallet_address IS NOT NULL
+      ON CONFLICT DO NOTHING`);
+  }
+  if (legacyColumns.rows.length > 0) {
+    await db.query(`
+      UPDATE agents a SET identities = (
+        SELECT jsonb_agg(jsonb_build_object('provider', provider, 'name', name, 'url', url, 'metadata', metadata)
+          ORDER BY verified_at)
+        FROM agent_identities WHERE agent_id = a.id
+      ) WHERE EXISTS (SELECT 1 FROM agent_identities WHERE agent_id = a.id)`);
+    await db.query(`
+      ALTER TABLE agents DROP COLUMN IF EXISTS moltbook_name, DROP COLUMN IF EXISTS moltbook_verified,
+        DROP COLUMN IF EXISTS verification_code, DROP COLUMN IF EXISTS owner_twitter,
+        DROP COLUMN IF EXISTS wallet_address, DROP COLUMN IF EXISTS wallet_verified_at;
+      DROP TABLE IF EXISTS wallet_challenges;`);
+  }
+}
+
+async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS verification_challenges, agent_identities, webhook_deliveries, webhooks,
+      pubsub_payloads, rate_limits, api_keys, moderation_log, sanctions, message_edits, mentions,
+      direct_messages, messages, room_members, rooms, agents CASCADE;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Structured messages: a type (text, markdown, code, json, tool_result) and an optional JSONB payload.
+// Existing rows become plain text.
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE messages
+      ADD COLUMN type VARCHAR(16) NOT NULL DEFAULT 'text',
+      ADD COLUMN payload JSONB
+  `);
+}
+
+async function down(db) {
+  await db.query(`ALTER TABLE messages DROP COLUMN type, DROP COLUMN payload`);
+}
+
+module.exports = { up, down };
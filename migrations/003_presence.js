@@ -0,0 +1,35 @@
+// Presence: a chosen status (online, idle, busy) with optional text, and the live connections that
+// decide whether an agent is online at all. agents.online becomes a cache of "has a live connection".
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE agents
+      ADD COLUMN status VARCHAR(8) NOT NULL DEFAULT 'online',
+      ADD COLUMN status_text VARCHAR(100);
+
+    -- One row per authenticated stream (kept alive by its instance) or heartbeat lease (instance_id NULL)
+    CREATE TABLE presence_connections (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      instance_id UUID,
+      kind VARCHAR(16) NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX idx_presence_agent ON presence_connections(agent_id);
+    CREATE INDEX idx_presence_instance ON presence_connections(instance_id);
+    CREATE UNIQUE INDEX idx_presence_heartbeat ON presence_connections(agent_id) WHERE kind = 'heartbeat';
+
+    -- Nothing is connected yet as far as this table knows
+    UPDATE agents SET online = FALSE WHERE online = TRUE;
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    DROP TABLE presence_connections;
+    ALTER TABLE agents DROP COLUMN status, DROP COLUMN status_text;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Agent profiles: a free-text bio, and an (agent_id, id) index so a profile's recent messages and
+// activity stats don't scan every message the agent ever sent.
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE agents ADD COLUMN bio VARCHAR(500);
+
+    DROP INDEX IF EXISTS idx_messages_agent_id;
+    CREATE INDEX idx_messages_agent_id ON messages(agent_id, id DESC);
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    DROP INDEX IF EXISTS idx_messages_agent_id;
+    CREATE INDEX idx_messages_agent_id ON messages(agent_id);
+
+    ALTER TABLE agents DROP COLUMN bio;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Row counts kept as counters by statement-level triggers, so stats don't COUNT(*) the whole
+// messages table every few seconds, plus a created_at index for age-based retention.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE stats_counters (
+      name VARCHAR(32) PRIMARY KEY,
+      value BIGINT NOT NULL
+    );
+    INSERT INTO stats_counters (name, value)
+      SELECT 'messages', COUNT(*) FROM messages
+      UNION ALL SELECT 'agents', COUNT(*) FROM agents;
+
+    -- TG_ARGV[0] names the counter. Transition tables make a bulk delete one UPDATE, not one per row.
+    CREATE FUNCTION bump_stats_counter() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'INSERT' THEN
+        UPDATE stats_counters SET value = value + (SELECT COUNT(*) FROM new_rows) WHERE name = TG_ARGV[0];
+      ELSE
+        UPDATE stats_counters SET value = value - (SELECT COUNT(*) FROM old_rows) WHERE name = TG_ARGV[0];
+      END IF;
+      RETURN NULL;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER messages_count_insert AFTER INSERT ON messages
+      REFERENCING NEW TABLE AS new_rows FOR EACH STATEMENT EXECUTE FUNCTION bump_stats_counter('messages');
+    CREATE TRIGGER messages_count_delete AFTER DELETE ON messages
+      REFERENCING OLD TABLE AS old_rows FOR EACH STATEMENT EXECUTE FUNCTION bump_stats_counter('messages');
+    CREATE TRIGGER agents_count_insert AFTER INSERT ON agents
+      REFERENCING NEW TABLE AS new_rows FOR EACH STATEMENT EXECUTE FUNCTION bump_stats_counter('agents');
+    CREATE TRIGGER agents_count_delete AFTER DELETE ON agents
+      REFERENCING OLD TABLE AS old_rows FOR EACH STATEMENT EXECUTE FUNCTION bump_stats_counter('agents');
+
+    CREATE INDEX idx_messages_created_at ON messages(created_at);
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    DROP INDEX idx_messages_created_at;
+    DROP TRIGGER messages_count_insert ON messages;
+    DROP TRIGGER messages_count_delete ON messages;
+    DROP TRIGGER agents_count_insert ON agents;
+    DROP TRIGGER agents_count_delete ON agents;
+    DROP FUNCTION bump_stats_counter();
+    DROP TABLE stats_counters;
+  `);
+}
+
+module.exports = { up, down };
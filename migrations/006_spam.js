@@ -0,0 +1,49 @@
+// Spam protection: short-lived content fingerprints for duplicate detection, an admin-managed
+// pattern blocklist, and a quarantine for shadow-hidden messages (they take an id from the
+// messages sequence so releasing one keeps the id its author was given).
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE message_fingerprints (
+      id BIGSERIAL PRIMARY KEY,
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      hash CHAR(64) NOT NULL,
+      simhash BIGINT,
+      created_at TIMESTAMPTZ NOT NULL
+    );
+    CREATE INDEX idx_message_fingerprints_agent ON message_fingerprints(agent_id, created_at);
+    CREATE INDEX idx_message_fingerprints_hash ON message_fingerprints(hash, created_at);
+    CREATE INDEX idx_message_fingerprints_created_at ON message_fingerprints(created_at);
+
+    CREATE TABLE spam_patterns (
+      id BIGSERIAL PRIMARY KEY,
+      pattern VARCHAR(200) NOT NULL,
+      action VARCHAR(8) NOT NULL CHECK (action IN ('reject', 'hide', 'mute')),
+      note VARCHAR(200),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE held_messages (
+      id BIGINT PRIMARY KEY,
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      room VARCHAR(32) NOT NULL REFERENCES rooms(name) ON DELETE CASCADE,
+      type VARCHAR(16) NOT NULL,
+      content VARCHAR(2000) NOT NULL,
+      payload JSONB,
+      reply_to BIGINT,
+      thread_id BIGINT,
+      rule VARCHAR(32) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    DROP TABLE held_messages;
+    DROP TABLE spam_patterns;
+    DROP TABLE message_fingerprints;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Idempotent sends: the client's id for a message (echoed on the stream so an agent can match its
+// own message), and per-agent idempotency keys that remember the response to replay on a retry.
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE messages ADD COLUMN client_message_id VARCHAR(64);
+    ALTER TABLE held_messages ADD COLUMN client_message_id VARCHAR(64);
+
+    -- message is NULL while the first request with the key is still being handled
+    CREATE TABLE idempotency_keys (
+      agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      key VARCHAR(64) NOT NULL,
+      request_hash CHAR(64) NOT NULL,
+      message JSONB,
+      created_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (agent_id, key)
+    );
+    CREATE INDEX idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    DROP TABLE idempotency_keys;
+    ALTER TABLE held_messages DROP COLUMN client_message_id;
+    ALTER TABLE messages DROP COLUMN client_message_id;
+  `);
+}
+
+module.exports = { up, down };
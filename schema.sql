@@ -1,27 +0,0 @@
--- chatr-ai PostgreSQL schema (optimized)
-
-CREATE TABLE IF NOT EXISTS agents (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  name VARCHAR(32) UNIQUE NOT NULL,
-  api_key VARCHAR(64) UNIQUE NOT NULL,
-  avatar TEXT,
-  online BOOLEAN DEFAULT FALSE,
-  last_seen TIMESTAMPTZ DEFAULT NOW(),
-  created_at TIMESTAMPTZ DEFAULT NOW()
-);
-
-CREATE TABLE IF NOT EXISTS messages (
-  id BIGSERIAL PRIMARY KEY,
-  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
-  content TEXT NOT NULL,
-  created_at TIMESTAMPTZ DEFAULT NOW()
-);
-
--- Indexes for performance
-CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
-CREATE INDEX IF NOT EXISTS idx_messages_agent_id ON messages(agent_id);
-CREATE INDEX IF NOT EXISTS idx_agents_api_key ON agents(api_key);
-CREATE INDEX IF NOT EXISTS idx_agents_online ON agents(online) WHERE online = TRUE;
-
--- Auto-cleanup: keep last 10k messages (run periodically)
--- DELETE FROM messages WHERE id NOT IN (SELECT id FROM messages ORDER BY created_at DESC LIMIT 10000);
@@ -1,671 +1,4248 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const express = require('express');
+const proxyaddr = require('proxy-addr');
+const promClient = require('prom-client');
 const { v4: uuidv4 } = require('uuid');
 const { Pool } = require('pg');
+const { WebSocketServer } = require('ws');
+const { loadProviders, generateCode } = require('./verification');
+const { assertMigrated } = require('./migrate');
+const { log, requestContext } = require('./logger');
+const { normalizeContent, contentHash, simhash, hammingDistance, countLinks } = require('./spam');
+const { spec: openapi, validateRequest } = require('./openapi');
+const { MESSAGE_TYPES, API_SCOPES, AGENT_STATUSES, WEBHOOK_EVENTS, SPAM_ACTIONS } = require('./constants');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+// Builds the app around an injected pool so tests can run it against their own database.
+//   pool       pg Pool; the schema must already be migrated (see migrate.js)
+//   now        clock in ms for the decisions the app makes itself: rate-limit windows,
+//              sanction expiry, verification challenge expiry and webhook signatures.
+//              Row timestamps (created_at, edited_at, ...) still come from the database.
+//   providers  verification providers, as returned by loadProviders()
+//   retention  message retention policy, as returned by loadRetention()
+//   trustProxy which proxies may set X-Forwarded-For, as returned by loadTrustProxy()
+function createApp({ pool, now = Date.now, providers = loadProviders(), retention = loadRetention(), trustProxy = loadTrustProxy() } = {}) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
 
-// ============================================
-// SECURITY: Rate limiting (in-memory, simple)
-// ============================================
-const rateLimits = {
-  message: new Map(),   // agentId -> { count, resetAt }
-  register: new Map(),  // ip -> { count, resetAt }
-  global: new Map(),    // ip -> { count, resetAt }
-};
-
-const LIMITS = {
-  messagesPerMinute: 30,      // per agent
-  registersPerHour: 5,        // per IP
-  requestsPerMinute: 120,     // per IP (global)
-  maxSseConnections: 5000,    // total SSE connections
-  maxSsePerIp: 10,            // SSE connections per IP
-};
-
-function checkRateLimit(map, key, maxCount, windowMs) {
-  const now = Date.now();
-  const record = map.get(key);
-  
-  if (!record || now > record.resetAt) {
-    map.set(key, { count: 1, resetAt: now + windowMs });
-    return true;
+  // ============================================
+  // METRICS (Prometheus, per instance; served at /metrics)
+  // ============================================
+  // Each app gets its own registry so several can run in one process (tests)
+  const registry = new promClient.Registry();
+  promClient.collectDefaultMetrics({ register: registry });
+  const metric = (Type, config) => new Type({ ...config, registers: [registry] });
+
+  const metrics = {
+    streamClients: metric(promClient.Gauge, {
+      name: 'chatr_stream_clients',
+      help: 'Open streams on this instance by kind (sse, dm, ws)',
+      labelNames: ['kind'],
+      collect() {
+        const counts = { sse: 0, dm: 0, ws: 0 };
+        for (const client of sseClients.values()) counts[client.ws ? 'ws' : client.room ? 'sse' : 'dm']++;
+        for (const [kind, count] of Object.entries(counts)) this.set({ kind }, count);
+      },
+    }),
+    messages: metric(promClient.Counter, {
+      name: 'chatr_messages_total',
+      help: 'Messages posted through this instance by type',
+      labelNames: ['type'],
+    }),
+    directMessages: metric(promClient.Counter, {
+      name: 'chatr_direct_messages_total',
+      help: 'Direct messages sent through this instance',
+    }),
+    // From the database, so it is right on every instance and after restarts: alert on time() - this
+    lastMessage: metric(promClient.Gauge, {
+      name: 'chatr_last_message_timestamp_seconds',
+      help: 'Unix time of the newest message in any room',
+      async collect() {
+        const result = await pool.query(`SELECT EXTRACT(EPOCH FROM MAX(created_at)) AS ts FROM messages`);
+        this.set(Number(result.rows[0].ts) || 0);
+      },
+    }),
+    rateLimitRejections: metric(promClient.Counter, {
+      name: 'chatr_rate_limit_rejections_total',
+      help: 'Requests refused by a rate limiter, by limiter (message, register, global, ...)',
+      labelNames: ['limiter'],
+    }),
+    spamActions: metric(promClient.Counter, {
+      name: 'chatr_spam_actions_total',
+      help: 'Messages caught by spam protection, by rule and action (reject, hide, mute)',
+      labelNames: ['rule', 'action'],
+    }),
+    authFailures: metric(promClient.Counter, {
+      name: 'chatr_auth_failures_total',
+      help: 'Failed authentications by reason (malformed, unknown_key, revoked, banned, admin)',
+      labelNames: ['reason'],
+    }),
+    dbPool: metric(promClient.Gauge, {
+      name: 'chatr_db_pool_connections',
+      help: 'Database pool connections by state (total, idle, waiting)',
+      labelNames: ['state'],
+      collect() {
+        this.set({ state: 'total' }, pool.totalCount);
+        this.set({ state: 'idle' }, pool.idleCount);
+        this.set({ state: 'waiting' }, pool.waitingCount);
+      },
+    }),
+    dbQueryDuration: metric(promClient.Histogram, {
+      name: 'chatr_db_query_duration_seconds',
+      help: 'Database query latency',
+      buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    }),
+    fanoutDuration: metric(promClient.Histogram, {
+      name: 'chatr_broadcast_fanout_seconds',
+      help: 'Time to write one event to every local stream it is for, by event type',
+      labelNames: ['event'],
+      buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5],
+    }),
+    httpRequests: metric(promClient.Counter, {
+      name: 'chatr_http_requests_total',
+      help: 'HTTP requests by method, route and status',
+      labelNames: ['method', 'route', 'status'],
+    }),
+    httpDuration: metric(promClient.Histogram, {
+      name: 'chatr_http_request_duration_seconds',
+      help: 'HTTP response time by method and route (streams count until they close)',
+      labelNames: ['method', 'route'],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 10],
+    }),
+  };
+
+  // Times every query, on the pool and on checked-out clients. The caller's pool is left as it is.
+  function timeQueries(target) {
+    return new Proxy(target, {
+      get(obj, prop) {
+        if (prop === 'query') {
+          return (...args) => {
+            const end = metrics.dbQueryDuration.startTimer();
+            return obj.query(...args).finally(end);
+          };
+        }
+        if (prop === 'connect') return async () => timeQueries(await obj.connect());
+        const value = Reflect.get(obj, prop, obj);
+        return typeof value === 'function' ? value.bind(obj) : value;
+      },
+    });
   }
-  
-  if (record.count >= maxCount) {
-    return false;
+  pool = timeQueries(pool);
+
+  // ============================================
+  // SECURITY: Rate limiting (shared across instances via Postgres)
+  // ============================================
+  // Buckets: message, mention, spam_strike, dm, room, verify, status, typing (per agent) ·
+  // register, search, global (per IP) · message_ip (per registration IP). Per-agent message limits
+  // depend on reputation, see SPAM PROTECTION.
+  const LIMITS = {
+    newAgentMessagesPerIp: 60,  // per minute, all new agents registered from one IP together
+    dmsPerMinute: 30,           // per agent
+    registersPerHour: 5,        // per IP
+    roomsPerHour: 10,           // per agent
+    statusChangesPerMinute: 10, // per agent
+    typingPerMinute: 60,        // typing signals per agent
+    maxKeysPerAgent: 10,        // active API keys per agent
+    maxWebhooksPerAgent: 5,     // webhooks per agent
+    verificationsPerHour: 20,   // verification starts + completes per agent
+    searchesPerMinute: 30,      // per IP
+    exportsPerHour: 20,         // per IP
+    maxConcurrentExports: 3,    // streaming exports (per instance), each holds a pool client
+    requestsPerMinute: 120,     // per IP (global)
+    maxSseConnections: 5000,    // total SSE connections (per instance)
+    maxSsePerIp: 10,            // SSE connections per IP (per instance)
+    replayPageSize: 1000,       // messages per history event when replaying a resume gap
+    maxPayloadBytes: 8192,      // structured message payload (serialized JSON)
+  };
+
+  // Fixed window counter; one upsert so concurrent instances can't both slip under the limit.
+  // Fails open: if the database is unreachable the request fails on its own queries anyway.
+  async function checkRateLimit(bucket, key, maxCount, windowMs) {
+    const time = now();
+    try {
+      const result = await pool.query(
+        `INSERT INTO rate_limits (bucket, key, count, reset_at) VALUES ($1, $2, 1, $4)
+         ON CONFLICT (bucket, key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at < $3 THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at < $3 THEN $4 ELSE rate_limits.reset_at END
+         RETURNING count`,
+        [bucket, String(key), new Date(time), new Date(time + windowMs)]
+      );
+      if (result.rows[0].count <= maxCount) return true;
+      metrics.rateLimitRejections.inc({ limiter: bucket });
+      return false;
+    } catch (err) {
+      log.error('Rate limit error', { err });
+      return true;
+    }
   }
-  
-  record.count++;
-  return true;
-}
 
-function getClientIp(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || 
-         req.headers['x-real-ip'] || 
-         req.socket.remoteAddress || 
-         'unknown';
-}
+  // SECURITY: The client address is the socket's unless it comes through a trusted proxy; any
+  // client can send X-Forwarded-For, and believing it would let bans and per-IP limits be dodged.
+  // Works on WebSocket upgrade requests too, which never pass through express.
+  function getClientIp(req) {
+    const ip = proxyaddr(req, app.get('trust proxy fn'));
+    if (!ip) return 'unknown';
+    // IPv4 clients of a dual-stack socket show up as ::ffff:1.2.3.4; bans are written as 1.2.3.4
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  }
 
-// Clean up old rate limit entries every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const map of Object.values(rateLimits)) {
-    for (const [key, record] of map) {
-      if (now > record.resetAt) map.delete(key);
+  // Clean up expired rate limit windows, oversized pub/sub payloads and old webhook deliveries (every 5 minutes)
+  async function cleanupExpired() {
+    try {
+      await pool.query(`DELETE FROM rate_limits WHERE reset_at < NOW()`);
+      await pool.query(`DELETE FROM pubsub_payloads WHERE created_at < NOW() - INTERVAL '5 minutes'`);
+      await pool.query(`DELETE FROM webhook_deliveries WHERE created_at < NOW() - INTERVAL '7 days' AND status <> 'pending'`);
+      await pool.query(`DELETE FROM message_fingerprints WHERE created_at < $1`, [new Date(now() - SPAM.duplicateWindowMs)]);
+      await pool.query(`DELETE FROM held_messages WHERE created_at < NOW() - INTERVAL '7 days'`);
+      await pool.query(`DELETE FROM idempotency_keys WHERE created_at < $1`, [new Date(now() - IDEMPOTENCY_TTL_MS)]);
+    } catch (e) {
+      log.error('Cleanup error', { err: e });
     }
   }
-}, 300000);
 
-// ============================================
-// DATABASE
-// ============================================
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
-});
-
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, closing pool...');
-  await pool.end();
-  process.exit(0);
-});
+  // ============================================
+  // MIDDLEWARE
+  // ============================================
 
-// ============================================
-// MIDDLEWARE
-// ============================================
+  // Request ids (a sane X-Request-Id from the proxy, or a new one) tag every log line written while
+  // handling the request. One structured line per request once the response closes.
+  app.use((req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    req.id = typeof incoming === 'string' && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : uuidv4();
+    res.setHeader('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('close', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const route = req.route ? req.baseUrl + [].concat(req.route.path).join('|') : 'other';
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+      requestContext.run({ requestId: req.id }, () => log.info('request', {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ip: getClientIp(req),
+        agent: req.agent ? req.agent.name : undefined,
+        aborted: !res.writableFinished || undefined,
+      }));
+    });
+    requestContext.run({ requestId: req.id }, next);
+  });
+
+  // SECURITY: Limit request body size
+  app.use(express.json({ limit: '16kb' }));
+  app.use(express.static('public'));
 
-// SECURITY: Limit request body size
-app.use(express.json({ limit: '16kb' }));
-app.use(express.static('public'));
+  // SECURITY: Global rate limit per IP
+  app.use(async (req, res, next) => {
+    const ip = getClientIp(req);
+    if (!(await checkRateLimit('global', ip, LIMITS.requestsPerMinute, 60000))) {
+      return res.status(429).json({ success: false, error: 'Too many requests' });
+    }
+    next();
+  });
 
-// SECURITY: Global rate limit per IP
-app.use((req, res, next) => {
-  const ip = getClientIp(req);
-  if (!checkRateLimit(rateLimits.global, ip, LIMITS.requestsPerMinute, 60000)) {
-    return res.status(429).json({ success: false, error: 'Too many requests' });
+  // Route middleware: checks path parameters, query, headers and body against the route's
+  // operation in openapi.js. Goes after auth, so a caller without a key gets 401 first.
+  function validate(req, res, next) {
+    const error = validateRequest(req);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    next();
   }
-  next();
-});
 
-// Health check (no rate limit)
-app.get('/health', (req, res) => res.json({ status: 'ok' }));
+  // Health check (no rate limit)
+  app.get('/health', (req, res) => res.json({ status: 'ok' }));
 
-// ============================================
-// SSE (Server-Sent Events)
-// ============================================
-const sseClients = new Map(); // clientId -> { res, ip }
-let sseClientId = 0;
+  // The API as OpenAPI 3.1 (see openapi.js)
+  app.get('/api/openapi.json', (req, res) => res.json(openapi));
 
-app.get('/api/stream', async (req, res) => {
-  const ip = getClientIp(req);
-  
-  // SECURITY: Check total SSE connections
-  if (sseClients.size >= LIMITS.maxSseConnections) {
-    return res.status(503).json({ success: false, error: 'Server busy' });
-  }
-  
-  // SECURITY: Check SSE connections per IP
-  let ipConnections = 0;
-  for (const client of sseClients.values()) {
-    if (client.ip === ip) ipConnections++;
-  }
-  if (ipConnections >= LIMITS.maxSsePerIp) {
-    return res.status(429).json({ success: false, error: 'Too many connections' });
+  // SECURITY: Set METRICS_TOKEN to require `Authorization: Bearer METRICS_TOKEN` from the scraper
+  const METRICS_TOKEN = process.env.METRICS_TOKEN;
+  app.get('/metrics', async (req, res) => {
+    if (METRICS_TOKEN) {
+      const a = crypto.createHash('sha256').update(req.headers['authorization'] || '').digest();
+      const b = crypto.createHash('sha256').update(`Bearer ${METRICS_TOKEN}`).digest();
+      if (!crypto.timingSafeEqual(a, b)) {
+        return res.status(401).json({ success: false, error: 'Metrics token required' });
+      }
+    }
+    try {
+      res.setHeader('Content-Type', registry.contentType);
+      res.end(await registry.metrics());
+    } catch (err) {
+      log.error('Metrics error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // SSE (Server-Sent Events)
+  // ============================================
+  // clientId -> { res, ip, room } for /api/stream, { res, ip, agentId } for private streams,
+  // or { ws, ip, room, agentId, ... } for WebSockets (see WEBSOCKET)
+  const sseClients = new Map();
+  let sseClientId = 0;
+
+  const SSE_RETRY_MS = 3000;
+  const SSE_KEEPALIVE_MS = 25000;
+
+  // SECURITY: Connection caps shared by SSE streams and WebSockets; returns a rejection or null
+  function checkConnectionLimits(ip) {
+    if (sseClients.size >= LIMITS.maxSseConnections) {
+      return { status: 503, error: 'Server busy' };
+    }
+
+    let ipConnections = 0;
+    for (const client of sseClients.values()) {
+      if (client.ip === ip) ipConnections++;
+    }
+    if (ipConnections >= LIMITS.maxSsePerIp) {
+      return { status: 429, error: 'Too many connections' };
+    }
+    return null;
   }
-  
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  
-  // Send history on connect
-  try {
-    const result = await pool.query(`
-      SELECT m.id, m.content, m.created_at, a.id as agent_id, a.name as agent_name, a.avatar, a.moltbook_verified, a.moltbook_name, a.owner_twitter
-      FROM messages m JOIN agents a ON m.agent_id = a.id
-      ORDER BY m.id DESC LIMIT 100`);
-    
-    const history = result.rows.reverse().map(r => ({
-      id: String(r.id),
-      agentId: r.agent_id,
-      agentName: r.agent_name,
-      avatar: r.avatar,
-      content: r.content,
-      timestamp: r.created_at,
-      moltbookVerified: r.moltbook_verified,
-      moltbookName: r.moltbook_name,
-      ownerTwitter: r.owner_twitter,
-    }));
-    
-    res.write(`data: ${JSON.stringify({ type: 'history', data: history })}\n\n`);
-  } catch (e) {
-    res.write('data: {"type":"history","data":[]}\n\n');
+
+  // Hands the history to onPage: the latest 100 messages of the room, or when resuming, the whole
+  // gap after `since` a page at a time so a long gap is never held in memory. onPage runs at least
+  // once and returns false to stop early (the client went away).
+  async function loadRoomHistory(room, since, onPage) {
+    if (!since) {
+      const result = await pool.query(`${MESSAGE_SELECT}
+        WHERE m.room = $1
+        ORDER BY m.id DESC LIMIT 100`, [room]);
+      onPage(result.rows.reverse().map(messageFromRow));
+      return;
+    }
+
+    let after = since;
+    for (;;) {
+      const result = await pool.query(`${MESSAGE_SELECT}
+        WHERE m.room = $1 AND m.id > $2
+        ORDER BY m.id ASC LIMIT $3`, [room, after, LIMITS.replayPageSize]);
+      const page = result.rows.map(messageFromRow);
+      if (onPage(page) === false || page.length < LIMITS.replayPageSize) return;
+      after = page[page.length - 1].id;
+    }
   }
-  
-  const clientId = ++sseClientId;
-  sseClients.set(clientId, { res, ip });
-  console.log(`SSE connected: ${clientId} (total: ${sseClients.size})`);
-  
-  req.on('close', () => {
-    sseClients.delete(clientId);
-    console.log(`SSE disconnected: ${clientId} (total: ${sseClients.size})`);
+
+  app.get('/api/stream', validate, async (req, res) => {
+    const ip = getClientIp(req);
+
+    const room = req.query.room === undefined ? DEFAULT_ROOM : cleanRoomName(req.query.room);
+    if (!room) {
+      return res.status(400).json({ success: false, error: 'Invalid room name' });
+    }
+
+    // Resume point: ?since= wins over the Last-Event-ID header browsers send on reconnect
+    if (req.query.since !== undefined && !/^\d+$/.test(req.query.since)) {
+      return res.status(400).json({ success: false, error: 'Invalid since parameter' });
+    }
+    const lastEventId = req.headers['last-event-id'];
+    const since = req.query.since || (lastEventId && /^\d+$/.test(lastEventId) ? lastEventId : null);
+
+    const limited = checkConnectionLimits(ip);
+    if (limited) {
+      return res.status(limited.status).json({ success: false, error: limited.error });
+    }
+
+    try {
+      if (!(await roomExists(room))) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+      }
+    } catch (e) {
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+    // Gone during the lookup: its close event has fired, so nothing would remove a registration
+    if (req.destroyed) return;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    // Register before querying history so nothing broadcast in between is lost;
+    // broadcast() queues for this client until the history has been written
+    const clientId = ++sseClientId;
+    const client = { res, ip, room, queue: [] };
+    sseClients.set(clientId, client);
+
+    req.on('close', () => {
+      sseClients.delete(clientId);
+      log.info('SSE disconnected', { clientId, total: sseClients.size });
+    });
+
+    // Send history on connect; a resume gap longer than a page comes as several history events
+    let lastId = since ? BigInt(since) : 0n;
+    try {
+      await loadRoomHistory(room, since, history => {
+        if (history.length > 0) lastId = BigInt(history[history.length - 1].id);
+
+        const idLine = lastId > 0n ? `id: ${lastId}\n` : '';
+        res.write(`${idLine}data: ${JSON.stringify({ type: 'history', data: history })}\n\n`);
+        return !req.destroyed;
+      });
+    } catch (e) {
+      res.write('data: {"type":"history","data":[]}\n\n');
+    }
+
+    // Flush what arrived meanwhile, skipping messages the history already covered
+    for (const event of client.queue) {
+      if (event.messageId !== null && BigInt(event.messageId) <= lastId) continue;
+      res.write(event.frame);
+    }
+    client.queue = null;
+    log.info('SSE connected', { clientId, room, since, total: sseClients.size });
   });
-});
 
-function broadcast(type, data) {
-  const payload = JSON.stringify({ type, data });
-  const message = `data: ${payload}\n\n`;
-  
-  for (const [clientId, client] of sseClients) {
+  // Local fan-out to this instance's clients; other instances are reached via publish().
+  // Omit room to reach every connected client (e.g. global stats).
+  // Only `message` events carry an SSE id: it is the messages.id cursor used for resuming.
+  function deliverBroadcast(type, data, room) {
+    const payload = JSON.stringify({ type, data });
+    const messageId = type === 'message' ? data.id : null;
+    const message = `${messageId ? `id: ${messageId}\n` : ''}data: ${payload}\n\n`;
+
+    for (const [clientId, client] of sseClients) {
+      if (!client.room) continue; // private streams never see public traffic
+      if (room && client.room !== room) continue;
+      if (client.queue) {
+        client.queue.push({ messageId, frame: message, payload });
+        continue;
+      }
+      writeToClient(clientId, client, message, payload);
+    }
+  }
+
+  // SSE clients get the framed event, WebSockets the bare JSON payload
+  function writeToClient(clientId, client, frame, payload) {
     try {
-      client.res.write(message);
+      if (client.ws) client.ws.send(payload);
+      else client.res.write(frame);
     } catch (e) {
       sseClients.delete(clientId);
     }
   }
-}
 
-// ============================================
-// DATABASE INIT
-// ============================================
-async function initDb() {
-  const client = await pool.connect();
-  try {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS agents (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        name VARCHAR(32) UNIQUE NOT NULL,
-        api_key VARCHAR(64) UNIQUE NOT NULL,
-        avatar VARCHAR(64),
-        online BOOLEAN DEFAULT FALSE,
-        last_seen TIMESTAMPTZ DEFAULT NOW(),
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        moltbook_name VARCHAR(64),
-        moltbook_verified BOOLEAN DEFAULT FALSE,
-        verification_code VARCHAR(16)
-      );
-      CREATE TABLE IF NOT EXISTS messages (
-        id BIGSERIAL PRIMARY KEY,
-        agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
-        content VARCHAR(2000) NOT NULL,
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      );
-      CREATE INDEX IF NOT EXISTS idx_messages_id ON messages(id DESC);
-      CREATE INDEX IF NOT EXISTS idx_messages_agent_id ON messages(agent_id);
-      CREATE INDEX IF NOT EXISTS idx_agents_api_key ON agents(api_key);
-      CREATE INDEX IF NOT EXISTS idx_agents_online ON agents(online) WHERE online = TRUE;
-    `);
-    // Add columns if they don't exist (for existing DBs)
-    await client.query(`
-      ALTER TABLE agents ADD COLUMN IF NOT EXISTS moltbook_name VARCHAR(64);
-      ALTER TABLE agents ADD COLUMN IF NOT EXISTS moltbook_verified BOOLEAN DEFAULT FALSE;
-      ALTER TABLE agents ADD COLUMN IF NOT EXISTS verification_code VARCHAR(16);
-      ALTER TABLE agents ADD COLUMN IF NOT EXISTS owner_twitter VARCHAR(64);
-    `);
-    console.log('Database initialized');
-  } finally {
-    client.release();
+  // Comment lines (pings for WebSockets) keep idle connections open through proxies that cut silent streams
+  function sendKeepalive() {
+    for (const [clientId, client] of sseClients) {
+      if (client.queue) continue;
+      try {
+        if (client.ws) client.ws.ping();
+        else client.res.write(': keepalive\n\n');
+      } catch (e) {
+        sseClients.delete(clientId);
+      }
+    }
   }
-}
 
-// ============================================
-// REGISTRATION
-// ============================================
-app.post('/api/register', async (req, res) => {
-  const ip = getClientIp(req);
-  
-  // SECURITY: Rate limit registration per IP
-  if (!checkRateLimit(rateLimits.register, ip, LIMITS.registersPerHour, 3600000)) {
-    return res.status(429).json({ success: false, error: 'Too many registrations, try again later' });
+  // Deliver to every private stream (GET /api/stream/dm) and WebSocket one agent holds on this instance
+  function deliverToAgent(agentId, type, data) {
+    const payload = JSON.stringify({ type, data });
+    const message = `data: ${payload}\n\n`;
+
+    for (const [clientId, client] of sseClients) {
+      if (client.agentId !== agentId) continue;
+      // WebSocket keys need the same scope as GET /api/stream/dm to receive private events
+      if (client.ws && !client.scopes.includes('dm')) continue;
+      // A private stream still sending its history gets these afterwards; `dm` ids let it skip repeats
+      if (client.queue && !client.ws) {
+        client.queue.push({ messageId: type === 'dm' ? data.id : null, frame: message });
+        continue;
+      }
+      writeToClient(clientId, client, message, payload);
+    }
   }
-  
-  const { name, avatar } = req.body;
-  
-  // SECURITY: Validate name strictly
-  if (!name || typeof name !== 'string') {
-    return res.status(400).json({ success: false, error: 'Name required' });
+
+  // Drop an agent's private streams and WebSockets on this instance, e.g. after a ban
+  function deliverDisconnect(agentId) {
+    for (const [clientId, client] of sseClients) {
+      if (client.agentId !== agentId) continue;
+      try {
+        if (client.ws) client.ws.close(4003, 'Disconnected by server');
+        else client.res.end();
+      } catch (e) {}
+      sseClients.delete(clientId);
+    }
   }
-  
-  const cleanName = name.trim();
-  if (cleanName.length < 2 || cleanName.length > 32) {
-    return res.status(400).json({ success: false, error: 'Name must be 2-32 characters' });
+
+  // ============================================
+  // PUB/SUB (fan-out across instances via LISTEN/NOTIFY)
+  // ============================================
+  // Each instance delivers to its own clients immediately and NOTIFYs the others,
+  // which LISTEN on a dedicated connection and skip events they originated.
+  const INSTANCE_ID = uuidv4();
+  const PUBSUB_CHANNEL = 'chatr_events';
+  const NOTIFY_MAX_BYTES = 7500; // Postgres rejects NOTIFY payloads of 8000 bytes or more
+
+  let publishChain = Promise.resolve();  // keeps NOTIFYs in emit order
+  let receiveChain = Promise.resolve();  // keeps deliveries in arrival order
+  let pubSubClient = null;               // the LISTEN connection while it is up
+
+  function deliverLocally(event) {
+    const end = metrics.fanoutDuration.startTimer({ event: event.type || event.kind });
+    if (event.kind === 'broadcast') deliverBroadcast(event.type, event.data, event.room);
+    else if (event.kind === 'agent') deliverToAgent(event.agentId, event.type, event.data);
+    else if (event.kind === 'disconnect') deliverDisconnect(event.agentId);
+    end();
   }
-  
-  if (!/^[a-zA-Z0-9_-]+$/.test(cleanName)) {
-    return res.status(400).json({ success: false, error: 'Name can only contain letters, numbers, _ and -' });
+
+  function publish(event) {
+    deliverLocally(event);
+
+    const payload = JSON.stringify({ origin: INSTANCE_ID, ...event });
+    publishChain = publishChain.then(async () => {
+      if (Buffer.byteLength(payload) <= NOTIFY_MAX_BYTES) {
+        await pool.query(`SELECT pg_notify($1, $2)`, [PUBSUB_CHANNEL, payload]);
+        return;
+      }
+      // Too big for NOTIFY: park it in a table and send a pointer
+      const stored = await pool.query(`INSERT INTO pubsub_payloads (payload) VALUES ($1) RETURNING id`, [payload]);
+      const pointer = JSON.stringify({ origin: INSTANCE_ID, payloadId: String(stored.rows[0].id) });
+      await pool.query(`SELECT pg_notify($1, $2)`, [PUBSUB_CHANNEL, pointer]);
+    }).catch(err => log.error('Publish error', { err }));
   }
-  
-  // SECURITY: Validate avatar (emoji or short string only)
-  let cleanAvatar = null;
-  if (avatar) {
-    if (typeof avatar !== 'string' || avatar.length > 64) {
-      return res.status(400).json({ success: false, error: 'Avatar must be under 64 characters' });
+
+  async function handleNotification(notification) {
+    let event = JSON.parse(notification.payload);
+    if (event.origin === INSTANCE_ID) return;
+
+    if (event.payloadId) {
+      const stored = await pool.query(`SELECT payload FROM pubsub_payloads WHERE id = $1`, [event.payloadId]);
+      if (stored.rows.length === 0) return;
+      event = JSON.parse(stored.rows[0].payload);
     }
-    cleanAvatar = avatar.trim().slice(0, 64);
+    deliverLocally(event);
   }
-  
-  const apiKey = `chatr_${uuidv4().replace(/-/g, '')}`;
-  
-  try {
-    const result = await pool.query(
-      `INSERT INTO agents (name, api_key, avatar) VALUES ($1, $2, $3) 
-       RETURNING id, name, api_key, avatar, created_at`,
-      [cleanName, apiKey, cleanAvatar]
-    );
-    
-    const agent = result.rows[0];
-    res.json({
-      success: true,
-      message: 'Welcome to chatr.ai! 🤖',
-      agent: {
-        id: agent.id,
-        name: agent.name,
-        apiKey: agent.api_key,
-        avatar: agent.avatar,
-      }
-    });
-  } catch (err) {
-    if (err.code === '23505') {
-      return res.status(409).json({ success: false, error: 'Name already taken' });
+
+  // Holds one pool connection for LISTEN; reconnects if it drops
+  async function startPubSub() {
+    if (closed) return;
+    let client;
+    try {
+      client = await pool.connect();
+      let failed = false;
+      client.on('notification', notification => {
+        receiveChain = receiveChain
+          .then(() => handleNotification(notification))
+          .catch(err => log.error('Pub/sub receive error', { err }));
+      });
+      client.on('error', err => {
+        if (failed) return;
+        failed = true;
+        log.error('Pub/sub listener error', { err });
+        pubSubClient = null;
+        client.release(err);
+        setTimeout(startPubSub, 5000);
+      });
+      await client.query(`LISTEN ${PUBSUB_CHANNEL}`);
+      pubSubClient = client;
+      log.info('Pub/sub listening', { instanceId: INSTANCE_ID });
+    } catch (err) {
+      log.error('Pub/sub start error', { err });
+      if (client) client.release(err);
+      setTimeout(startPubSub, 5000);
     }
-    console.error('Register error:', err);
-    res.status(500).json({ success: false, error: 'Internal error' });
   }
-});
 
-// ============================================
-// AUTH MIDDLEWARE (Bearer token)
-// ============================================
-async function authMiddleware(req, res, next) {
-  // Support both "Authorization: Bearer xxx" and legacy "X-API-Key: xxx"
-  let apiKey = null;
-  
-  const authHeader = req.headers['authorization'];
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    apiKey = authHeader.slice(7);
-  } else {
-    apiKey = req.headers['x-api-key']; // Legacy support
-  }
-  
-  // SECURITY: Validate API key format before DB query
-  if (!apiKey || typeof apiKey !== 'string' || !apiKey.startsWith('chatr_') || apiKey.length !== 38) {
-    return res.status(401).json({ success: false, error: 'Invalid API key. Use: Authorization: Bearer YOUR_KEY' });
+  function broadcast(type, data, room) {
+    publish({ kind: 'broadcast', type, data, room });
+    if (type === 'message') {
+      queueWebhookEvent('message', data, { room, senderId: data.agentId, senderName: data.agentName });
+    }
   }
-  
-  try {
-    const result = await pool.query(
-      `UPDATE agents SET last_seen = NOW(), online = TRUE WHERE api_key = $1 RETURNING *`,
-      [apiKey]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(401).json({ success: false, error: 'Invalid API key' });
+
+  function sendToAgent(agentId, type, data) {
+    publish({ kind: 'agent', agentId, type, data });
+    if (type === 'mention') {
+      const { message } = data;
+      queueWebhookEvent('mention', data, { room: message.room, senderId: message.agentId, senderName: message.agentName, ownerId: agentId });
+    } else if (type === 'dm' && data.agentId !== agentId) {
+      queueWebhookEvent('dm', data, { senderId: data.agentId, senderName: data.agentName, ownerId: agentId });
     }
-    
-    req.agent = result.rows[0];
-    next();
-  } catch (err) {
-    console.error('Auth error:', err);
-    res.status(500).json({ success: false, error: 'Internal error' });
   }
-}
 
-// ============================================
-// MESSAGES
-// ============================================
-app.post('/api/messages', authMiddleware, async (req, res) => {
-  // SECURITY: Rate limit messages per agent
-  if (!checkRateLimit(rateLimits.message, req.agent.id, LIMITS.messagesPerMinute, 60000)) {
-    return res.status(429).json({ success: false, error: 'Slow down! Max 30 messages per minute' });
+  function disconnectAgent(agentId) {
+    publish({ kind: 'disconnect', agentId });
   }
-  
-  const { content } = req.body;
-  
-  // SECURITY: Validate content
-  if (!content || typeof content !== 'string') {
-    return res.status(400).json({ success: false, error: 'Content required' });
+
+  // ============================================
+  // REGISTRATION
+  // ============================================
+  // SECURITY: Avatars are an emoji or a short string; profile text is plain text, escaped by clients.
+  // Both return { value } (null when empty) or { error }.
+  function cleanAvatar(avatar) {
+    if (!avatar) return { value: null };
+    if (typeof avatar !== 'string' || avatar.length > 64) {
+      return { error: 'Avatar must be under 64 characters' };
+    }
+    return { value: avatar.trim() || null };
   }
-  
-  const cleanContent = content.trim();
-  if (cleanContent.length === 0 || cleanContent.length > 2000) {
-    return res.status(400).json({ success: false, error: 'Message must be 1-2000 characters' });
+
+  function cleanBio(bio) {
+    if (!bio) return { value: null };
+    if (typeof bio !== 'string') return { error: 'Bio must be a string' };
+    const value = bio.trim();
+    if (value.length > 500) return { error: 'Bio must be under 500 characters' };
+    return { value: value || null };
   }
-  
-  try {
-    const result = await pool.query(
-      `INSERT INTO messages (agent_id, content) VALUES ($1, $2) RETURNING id, created_at`,
-      [req.agent.id, cleanContent]
+
+  app.post('/api/register', validate, async (req, res) => {
+    const ip = getClientIp(req);
+
+    // SECURITY: Rate limit registration per IP
+    if (!(await checkRateLimit('register', ip, LIMITS.registersPerHour, 3600000))) {
+      return res.status(429).json({ success: false, error: 'Too many registrations, try again later' });
+    }
+
+    const { name, avatar } = req.body;
+
+    // SECURITY: Validate name strictly
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ success: false, error: 'Name required' });
+    }
+
+    const cleanName = name.trim();
+    if (cleanName.length < 2 || cleanName.length > 32) {
+      return res.status(400).json({ success: false, error: 'Name must be 2-32 characters' });
+    }
+
+    if (!/^[a-zA-Z0-9_-]+$/.test(cleanName)) {
+      return res.status(400).json({ success: false, error: 'Name can only contain letters, numbers, _ and -' });
+    }
+
+    const avatarCheck = cleanAvatar(avatar);
+    if (avatarCheck.error) {
+      return res.status(400).json({ success: false, error: avatarCheck.error });
+    }
+
+    try {
+      // SECURITY: Banned IPs can't create new identities
+      const sanctions = await getActiveSanctions(null, ip);
+      if (sanctions.ban) {
+        return res.status(403).json({ success: false, error: 'Banned', ...describeSanction(sanctions.ban) });
+      }
+    } catch (err) {
+      log.error('Register error', { err });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+
+    const client = await pool.connect().catch(err => err);
+    if (client instanceof Error) {
+      log.error('Register error', { err: client });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO agents (name, avatar, register_ip) VALUES ($1, $2, $3) 
+         RETURNING id, name, avatar, created_at`,
+        [cleanName, avatarCheck.value, ip]
+      );
+
+      const agent = result.rows[0];
+      const { apiKey } = await createApiKey(client, agent.id, 'default', API_SCOPES);
+      await client.query('COMMIT');
+
+      res.json({
+        success: true,
+        message: 'Welcome to chatr.ai! 🤖',
+        agent: {
+          id: agent.id,
+          name: agent.name,
+          apiKey,
+          avatar: agent.avatar,
+        }
+      });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, error: 'Name already taken' });
+      }
+      log.error('Register error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ============================================
+  // API KEYS
+  // ============================================
+  // Keys are 128-bit random, so a plain SHA-256 is enough; only the hash is stored
+  function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  // Returns the plaintext key once; callers must hand it to the agent immediately
+  async function createApiKey(db, agentId, label, scopes) {
+    const apiKey = `chatr_${uuidv4().replace(/-/g, '')}`;
+    const result = await db.query(
+      `INSERT INTO api_keys (agent_id, key_hash, key_prefix, label, scopes) VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, key_prefix, label, scopes, created_at, last_used_at, revoked_at`,
+      [agentId, hashApiKey(apiKey), apiKey.slice(0, 10), label, scopes]
     );
-    
-    const msg = {
-      id: String(result.rows[0].id),
-      agentId: req.agent.id,
-      agentName: req.agent.name,
-      avatar: req.agent.avatar,
-      content: cleanContent,
-      timestamp: result.rows[0].created_at,
-      createdAt: result.rows[0].created_at,
-      moltbookVerified: req.agent.moltbook_verified,
-      moltbookName: req.agent.moltbook_name,
-      ownerTwitter: req.agent.owner_twitter,
-    };
-    
-    broadcast('message', msg);
-    res.json({ success: true, message: msg });
-  } catch (err) {
-    console.error('Message error:', err);
-    res.status(500).json({ success: false, error: 'Internal error' });
-  }
-});
-
-app.get('/api/messages', async (req, res) => {
-  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
-  const before = req.query.before;
-  const after = req.query.after;
-  
-  // SECURITY: Validate pagination params are numeric
-  if (before && !/^\d+$/.test(before)) {
-    return res.status(400).json({ success: false, error: 'Invalid before parameter' });
+    return { apiKey, key: result.rows[0] };
   }
-  if (after && !/^\d+$/.test(after)) {
-    return res.status(400).json({ success: false, error: 'Invalid after parameter' });
+
+  function apiKeyFromRow(r) {
+    return {
+      id: r.id,
+      label: r.label,
+      maskedKey: `${r.key_prefix}${'•'.repeat(8)}`,
+      scopes: r.scopes,
+      createdAt: r.created_at,
+      lastUsedAt: r.last_used_at,
+      revokedAt: r.revoked_at,
+    };
   }
-  
-  try {
-    let query, params;
-    if (after) {
-      query = `
-        SELECT m.id, m.content, m.created_at, a.id as agent_id, a.name as agent_name, a.avatar
-        FROM messages m JOIN agents a ON m.agent_id = a.id
-        WHERE m.id > $1
-        ORDER BY m.id ASC LIMIT $2`;
-      params = [after, limit];
-    } else if (before) {
-      query = `
-        SELECT m.id, m.content, m.created_at, a.id as agent_id, a.name as agent_name, a.avatar
-        FROM messages m JOIN agents a ON m.agent_id = a.id
-        WHERE m.id < $1
-        ORDER BY m.id DESC LIMIT $2`;
-      params = [before, limit];
-    } else {
-      query = `
-        SELECT m.id, m.content, m.created_at, a.id as agent_id, a.name as agent_name, a.avatar
-        FROM messages m JOIN agents a ON m.agent_id = a.id
-        ORDER BY m.id DESC LIMIT $1`;
-      params = [limit];
+
+  // ============================================
+  // AUTH MIDDLEWARE (Bearer token)
+  // ============================================
+  // Support both "Authorization: Bearer xxx" and legacy "X-API-Key: xxx"
+  function getApiKeyFromHeaders(headers) {
+    const authHeader = headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authHeader.slice(7);
     }
-    
-    const result = await pool.query(query, params);
-    const messages = before ? result.rows.reverse() : (after ? result.rows : result.rows.reverse());
-    
-    res.json({
-      success: true,
-      messages: messages.map(r => ({
-        id: String(r.id),
-        agentId: r.agent_id,
-        agentName: r.agent_name,
-        avatar: r.avatar,
-        content: r.content,
-        timestamp: r.created_at,
-        createdAt: r.created_at,
-      }))
-    });
-  } catch (err) {
-    console.error('Get messages error:', err);
-    res.status(500).json({ success: false, error: 'Internal error' });
+    return headers['x-api-key']; // Legacy support
   }
-});
 
-// ============================================
-// AGENTS
-// ============================================
-app.get('/api/agents', async (req, res) => {
-  try {
-    await pool.query(`UPDATE agents SET online = FALSE WHERE last_seen < NOW() - INTERVAL '30 minutes'`);
-    
-    const [agentsResult, statsResult] = await Promise.all([
-      pool.query(`SELECT id, name, avatar, online, last_seen, moltbook_verified, moltbook_name, owner_twitter FROM agents WHERE online = TRUE ORDER BY name LIMIT 200`),
-      pool.query(`SELECT 
-        (SELECT COUNT(*) FROM agents) as total_agents,
-        (SELECT COUNT(*) FROM agents WHERE online = TRUE) as online_agents,
-        (SELECT COUNT(*) FROM messages) as total_messages`)
+  // Shared by authMiddleware and the WebSocket handshake.
+  // Resolves to { agent, key, mute } or { status, error, details } describing the rejection.
+  async function authenticate(apiKey, ip) {
+    // SECURITY: Validate API key format before DB query
+    if (!apiKey || typeof apiKey !== 'string' || !apiKey.startsWith('chatr_') || apiKey.length !== 38) {
+      metrics.authFailures.inc({ reason: 'malformed' });
+      return { status: 401, error: 'Invalid API key. Use: Authorization: Bearer YOUR_KEY' };
+    }
+
+    const keyResult = await pool.query(
+      `SELECT id, agent_id, scopes, revoked_at FROM api_keys WHERE key_hash = $1`,
+      [hashApiKey(apiKey)]
+    );
+
+    if (keyResult.rows.length === 0) {
+      metrics.authFailures.inc({ reason: 'unknown_key' });
+      return { status: 401, error: 'Invalid API key' };
+    }
+
+    const key = keyResult.rows[0];
+    if (key.revoked_at) {
+      metrics.authFailures.inc({ reason: 'revoked' });
+      return { status: 401, error: 'API key revoked' };
+    }
+
+    const [result] = await Promise.all([
+      pool.query(`UPDATE agents SET last_seen = NOW() WHERE id = $1 RETURNING *`, [key.agent_id]),
+      pool.query(`UPDATE api_keys SET last_used_at = NOW() WHERE id = $1`, [key.id]),
     ]);
-    
-    const stats = statsResult.rows[0];
-    
-    res.json({
-      success: true,
-      agents: agentsResult.rows.map(r => ({
-        id: r.id,
-        name: r.name,
-        avatar: r.avatar,
-        online: r.online,
-        lastSeen: r.last_seen,
-        moltbookVerified: r.moltbook_verified,
-        moltbookName: r.moltbook_name,
-        ownerTwitter: r.owner_twitter,
-      })),
-      stats: {
-        totalAgents: parseInt(stats.total_agents),
-        onlineAgents: parseInt(stats.online_agents),
-        totalMessages: parseInt(stats.total_messages),
+
+    // SECURITY: Enforce bans on the agent or the calling IP
+    const sanctions = await getActiveSanctions(result.rows[0].id, ip);
+    if (sanctions.ban) {
+      metrics.authFailures.inc({ reason: 'banned' });
+      await takeOffline(result.rows[0].id);
+      return { status: 403, error: 'Banned', details: describeSanction(sanctions.ban) };
+    }
+
+    return { agent: result.rows[0], key, mute: sanctions.mute };
+  }
+
+  async function authMiddleware(req, res, next) {
+    try {
+      const auth = await authenticate(getApiKeyFromHeaders(req.headers), getClientIp(req));
+      if (auth.error) {
+        return res.status(auth.status).json({ success: false, error: auth.error, ...auth.details });
       }
-    });
-  } catch (err) {
-    console.error('Get agents error:', err);
-    res.status(500).json({ success: false, error: 'Internal error' });
+
+      req.agent = auth.agent;
+      req.apiKey = auth.key;
+      req.mute = auth.mute;
+      next();
+    } catch (err) {
+      log.error('Auth error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
   }
-});
 
-app.post('/api/heartbeat', authMiddleware, (req, res) => {
-  res.json({ success: true });
-});
+  // Use after authMiddleware: rejects keys that weren't granted `scope`
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ success: false, error: `API key lacks the "${scope}" scope` });
+      }
+      next();
+    };
+  }
 
-app.post('/api/disconnect', authMiddleware, async (req, res) => {
-  try {
-    await pool.query(`UPDATE agents SET online = FALSE WHERE id = $1`, [req.agent.id]);
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ success: false, error: 'Internal error' });
+  // Use after authMiddleware on routes that publish content
+  function rejectMuted(req, res, next) {
+    if (req.mute) {
+      return res.status(403).json({ success: false, error: 'Muted', ...describeSanction(req.mute) });
+    }
+    next();
   }
-});
 
-// ============================================
-// MOLTBOOK VERIFICATION
-// ============================================
+  // ============================================
+  // ROOMS
+  // ============================================
+  const DEFAULT_ROOM = 'general';
 
-function generateVerificationCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no I,O,0,1 for clarity
-  let code = '';
-  for (let i = 0; i < 8; i++) code += chars[Math.floor(Math.random() * chars.length)];
-  return code;
-}
+  // Room names are case-insensitive and stored lowercase
+  function cleanRoomName(name) {
+    if (!name || typeof name !== 'string') return null;
+    const clean = name.trim().toLowerCase();
+    if (clean.length < 2 || clean.length > 32 || !/^[a-z0-9_-]+$/.test(clean)) return null;
+    return clean;
+  }
 
-// Start verification - agent provides their Moltbook username
-app.post('/api/verify/start', authMiddleware, async (req, res) => {
-  const { moltbookName } = req.body;
-  
-  // SECURITY: Validate moltbook username
-  if (!moltbookName || typeof moltbookName !== 'string') {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'moltbookName required - your username on Moltbook' 
-    });
+  async function roomExists(room) {
+    const result = await pool.query(`SELECT 1 FROM rooms WHERE name = $1`, [room]);
+    return result.rows.length > 0;
   }
-  
-  const cleanName = moltbookName.trim().toLowerCase();
-  if (cleanName.length < 2 || cleanName.length > 64 || !/^[a-z0-9_-]+$/i.test(cleanName)) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Invalid Moltbook username format' 
-    });
+
+  async function joinRoom(room, agentId) {
+    await pool.query(
+      `INSERT INTO room_members (room, agent_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+      [room, agentId]
+    );
   }
-  
-  try {
-    // Generate or reuse existing code
-    let code = req.agent.verification_code;
-    if (!code) {
-      code = generateVerificationCode();
-      await pool.query(
-        `UPDATE agents SET verification_code = $1 WHERE id = $2`,
-        [code, req.agent.id]
-      );
+
+  app.get('/api/rooms', async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT r.name, r.description, r.created_at,
+          COUNT(rm.agent_id) as member_count, COUNT(a.id) as online_count
+        FROM rooms r
+        LEFT JOIN room_members rm ON rm.room = r.name
+        LEFT JOIN agents a ON a.id = rm.agent_id AND a.online = TRUE
+        GROUP BY r.name, r.description, r.created_at
+        ORDER BY r.name = $1 DESC, r.name
+        LIMIT 200`, [DEFAULT_ROOM]);
+
+      res.json({
+        success: true,
+        rooms: result.rows.map(r => ({
+          name: r.name,
+          description: r.description,
+          createdAt: r.created_at,
+          memberCount: parseInt(r.member_count),
+          onlineCount: parseInt(r.online_count),
+        }))
+      });
+    } catch (err) {
+      log.error('Get rooms error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.post('/api/rooms', authMiddleware, requireScope('post'), rejectMuted, validate, async (req, res) => {
+    // SECURITY: Rate limit room creation per agent
+    if (!(await checkRateLimit('room', req.agent.id, LIMITS.roomsPerHour, 3600000))) {
+      return res.status(429).json({ success: false, error: 'Too many rooms created, try again later' });
+    }
+
+    const { name, description } = req.body;
+
+    const room = cleanRoomName(name);
+    if (!room) {
+      return res.status(400).json({ success: false, error: 'Room name must be 2-32 characters: letters, numbers, _ and -' });
+    }
+
+    let cleanDescription = null;
+    if (description) {
+      if (typeof description !== 'string' || description.length > 200) {
+        return res.status(400).json({ success: false, error: 'Description must be under 200 characters' });
+      }
+      cleanDescription = description.trim();
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO rooms (name, description, created_by) VALUES ($1, $2, $3)
+         RETURNING name, description, created_at`,
+        [room, cleanDescription, req.agent.id]
+      );
+      await joinRoom(room, req.agent.id);
+
+      const created = result.rows[0];
+      res.json({
+        success: true,
+        room: {
+          name: created.name,
+          description: created.description,
+          createdAt: created.created_at,
+        }
+      });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, error: 'Room already exists' });
+      }
+      log.error('Create room error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.post('/api/rooms/:name/join', authMiddleware, requireScope('post'), validate, async (req, res) => {
+    const room = cleanRoomName(req.params.name);
+    if (!room) {
+      return res.status(400).json({ success: false, error: 'Invalid room name' });
+    }
+
+    try {
+      if (!(await roomExists(room))) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+      }
+      await joinRoom(room, req.agent.id);
+      res.json({ success: true, room });
+    } catch (err) {
+      log.error('Join room error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.post('/api/rooms/:name/leave', authMiddleware, requireScope('post'), validate, async (req, res) => {
+    const room = cleanRoomName(req.params.name);
+    if (!room) {
+      return res.status(400).json({ success: false, error: 'Invalid room name' });
+    }
+
+    try {
+      await pool.query(`DELETE FROM room_members WHERE room = $1 AND agent_id = $2`, [room, req.agent.id]);
+      res.json({ success: true, room });
+    } catch (err) {
+      log.error('Leave room error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // MESSAGES
+  // ============================================
+  const MESSAGE_SELECT = `
+    SELECT m.id, m.room, m.type, m.content, m.payload, m.created_at, m.reply_to, m.thread_id, m.client_message_id, m.edited_at, m.deleted_at,
+      a.id as agent_id, a.name as agent_name, a.avatar, a.identities
+    FROM messages m JOIN agents a ON m.agent_id = a.id`;
+
+  function messageFromRow(r) {
+    return {
+      id: String(r.id),
+      room: r.room,
+      agentId: r.agent_id,
+      agentName: r.agent_name,
+      avatar: r.avatar,
+      type: r.type,
+      content: r.deleted_at ? null : r.content,
+      payload: r.deleted_at ? null : r.payload,
+      replyTo: r.reply_to ? String(r.reply_to) : null,
+      threadId: r.thread_id ? String(r.thread_id) : null,
+      clientMessageId: r.client_message_id || null,
+      timestamp: r.created_at,
+      createdAt: r.created_at,
+      editedAt: r.edited_at,
+      deleted: !!r.deleted_at,
+      ...identityFields(r.identities),
+    };
+  }
+
+  const MAX_MENTIONS = 10;
+  const MAX_PAYLOAD_DEPTH = 16;
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function jsonDepth(value) {
+    if (value === null || typeof value !== 'object') return 0;
+    let depth = 0;
+    for (const child of Object.values(value)) depth = Math.max(depth, jsonDepth(child));
+    return depth + 1;
+  }
+
+  // Check `payload` against the message type: text and markdown take none, code takes an optional
+  // { language }, json any JSON value and tool_result { tool, callId?, isError?, output }.
+  // Returns { payload } (null when there is none) or { error }.
+  function cleanPayload(type, payload) {
+    const missing = payload === undefined || payload === null;
+    if (type === 'text' || type === 'markdown') {
+      return missing ? { payload: null } : { error: `${type} messages don't take a payload` };
+    }
+    if (type === 'code') {
+      if (missing) return { payload: null };
+      if (!isPlainObject(payload) || Object.keys(payload).some(k => k !== 'language')) {
+        return { error: 'code payload may only contain language' };
+      }
+      if (payload.language === undefined) return { payload: null };
+      if (typeof payload.language !== 'string' || !/^[a-z0-9+#._-]{1,32}$/i.test(payload.language)) {
+        return { error: 'language must be 1-32 letters, digits or + # . _ -' };
+      }
+      return { payload: { language: payload.language.toLowerCase() } };
+    }
+
+    if (missing) return { error: `payload required for ${type} messages` };
+    // SECURITY: Bound what every stream client and webhook has to carry and parse
+    if (Buffer.byteLength(JSON.stringify(payload)) > LIMITS.maxPayloadBytes) {
+      return { error: `payload must be at most ${LIMITS.maxPayloadBytes} bytes of JSON` };
+    }
+    if (jsonDepth(payload) > MAX_PAYLOAD_DEPTH) {
+      return { error: `payload nesting must be at most ${MAX_PAYLOAD_DEPTH} levels` };
+    }
+    if (type === 'tool_result') {
+      if (!isPlainObject(payload)) {
+        return { error: 'tool_result payload must be an object' };
+      }
+      const unknown = Object.keys(payload).filter(k => !['tool', 'callId', 'isError', 'output'].includes(k));
+      if (unknown.length > 0) {
+        return { error: `Unknown tool_result fields: ${unknown.join(', ')}` };
+      }
+      if (typeof payload.tool !== 'string' || !/^[a-zA-Z0-9_.:-]{1,64}$/.test(payload.tool)) {
+        return { error: 'tool must be 1-64 letters, digits or _ . : -' };
+      }
+      if (payload.callId !== undefined && (typeof payload.callId !== 'string' || payload.callId.length < 1 || payload.callId.length > 128)) {
+        return { error: 'callId must be a string of 1-128 characters' };
+      }
+      if (payload.isError !== undefined && typeof payload.isError !== 'boolean') {
+        return { error: 'isError must be a boolean' };
+      }
+      if (!('output' in payload)) {
+        return { error: 'tool_result payload requires output' };
+      }
+    }
+    return { payload };
+  }
+
+  // Code keeps its indentation; only surrounding blank lines go
+  function trimContent(type, content) {
+    return type === 'code' ? content.replace(/^(\s*\n)+/, '').trimEnd() : content.trim();
+  }
+
+  // Text shown by clients that don't render the type, and indexed for search, when content is omitted
+  function payloadSummary(type, payload) {
+    const text = type === 'tool_result'
+      ? `${payload.tool}${payload.isError ? ' failed' : ''}: ${JSON.stringify(payload.output)}`
+      : JSON.stringify(payload);
+    return text.length > 2000 ? text.slice(0, 1999) + '…' : text;
+  }
+
+  // Unique, lowercased @names in order of appearance (capped to bound lookup cost)
+  function parseMentions(content) {
+    const names = new Set();
+    for (const match of content.matchAll(/(?:^|[^a-zA-Z0-9_-])@([a-zA-Z0-9_-]{2,32})/g)) {
+      names.add(match[1].toLowerCase());
+      if (names.size >= MAX_MENTIONS) break;
+    }
+    return [...names];
+  }
+
+  const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+  const IDEMPOTENCY_STALE_MS = 60000; // a key claimed this long ago without a response was abandoned
+  const CLIENT_MESSAGE_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+  // Post a message, at most once per clientMessageId. Shared by POST /api/messages and the WebSocket
+  // `send` frame; resolves to { message, replayed? } or { status, error, details? }, plus `mute`
+  // when the spam checks just muted the agent (callers check scope and existing mutes).
+  //
+  // The first request with a clientMessageId claims it for the agent. Retries within 24 hours get
+  // the original message back with `replayed: true` instead of posting it again; a retry that
+  // arrives while the first request is still running gets 409.
+  async function postMessage(agent, body) {
+    const { clientMessageId } = body;
+    if (clientMessageId === undefined || clientMessageId === null) {
+      return createMessage(agent, body, null);
+    }
+    if (typeof clientMessageId !== 'string' || !CLIENT_MESSAGE_ID_PATTERN.test(clientMessageId)) {
+      return { status: 400, error: 'clientMessageId must be 1-64 letters, digits, _ . : or -' };
+    }
+
+    // Reusing a key for a different message is a client bug, not a retry
+    const requestHash = crypto.createHash('sha256')
+      .update(JSON.stringify([body.room, body.type, body.content, body.payload, body.replyTo]))
+      .digest('hex');
+    const time = now();
+    const claim = await pool.query(
+      `INSERT INTO idempotency_keys (agent_id, key, request_hash, created_at) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (agent_id, key) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash, message = NULL, created_at = EXCLUDED.created_at
+         WHERE idempotency_keys.created_at < $5
+           OR (idempotency_keys.message IS NULL AND idempotency_keys.created_at < $6)
+       RETURNING key`,
+      [agent.id, clientMessageId, requestHash, new Date(time), new Date(time - IDEMPOTENCY_TTL_MS), new Date(time - IDEMPOTENCY_STALE_MS)]
+    );
+
+    if (claim.rows.length === 0) {
+      const existing = (await pool.query(
+        `SELECT request_hash, message FROM idempotency_keys WHERE agent_id = $1 AND key = $2`,
+        [agent.id, clientMessageId]
+      )).rows[0];
+      if (existing && existing.request_hash !== requestHash) {
+        return { status: 422, error: 'clientMessageId was already used for a different message' };
+      }
+      if (!existing || !existing.message) {
+        return { status: 409, error: 'A message with this clientMessageId is still being posted; retry shortly' };
+      }
+      return { message: existing.message, replayed: true };
+    }
+
+    // A failed attempt gives the key back, so the client can fix the request and retry with it
+    const release = () => pool.query(
+      `DELETE FROM idempotency_keys WHERE agent_id = $1 AND key = $2`,
+      [agent.id, clientMessageId]
+    );
+    let result;
+    try {
+      result = await createMessage(agent, body, clientMessageId);
+    } catch (err) {
+      await release().catch(() => {});
+      throw err;
+    }
+    if (result.error) {
+      await release();
+      return result;
+    }
+
+    await pool.query(
+      `UPDATE idempotency_keys SET message = $3 WHERE agent_id = $1 AND key = $2`,
+      [agent.id, clientMessageId, JSON.stringify(result.message)]
+    );
+    return result;
+  }
+
+  // Validate, store and fan out a new message
+  async function createMessage(agent, body, clientMessageId) {
+    // SECURITY: Rate limit messages per agent (scaled by reputation, see SPAM PROTECTION)
+    const rateError = await checkMessageRate(agent);
+    if (rateError) return rateError;
+
+    const { content, replyTo } = body;
+    const type = body.type === undefined ? 'text' : body.type;
+
+    let room = body.room === undefined ? null : cleanRoomName(body.room);
+    if (body.room !== undefined && !room) {
+      return { status: 400, error: 'Invalid room name' };
+    }
+
+    if (replyTo !== undefined && replyTo !== null && !/^\d+$/.test(String(replyTo))) {
+      return { status: 400, error: 'Invalid replyTo parameter' };
+    }
+
+    if (!MESSAGE_TYPES.includes(type)) {
+      return { status: 400, error: `type must be one of: ${MESSAGE_TYPES.join(', ')}` };
+    }
+    const { payload, error: payloadError } = cleanPayload(type, body.payload);
+    if (payloadError) {
+      return { status: 400, error: payloadError };
+    }
+
+    // SECURITY: Validate content (optional for json and tool_result, which fall back to a summary)
+    let cleanContent;
+    if (content === undefined && (type === 'json' || type === 'tool_result')) {
+      cleanContent = payloadSummary(type, payload);
+    } else {
+      if (!content || typeof content !== 'string') {
+        return { status: 400, error: 'Content required' };
+      }
+      cleanContent = trimContent(type, content);
+      if (cleanContent.length === 0 || cleanContent.length > 2000) {
+        return { status: 400, error: 'Message must be 1-2000 characters' };
+      }
+    }
+
+    // Replies live in their parent's room and share its thread
+    let parent = null;
+    if (replyTo !== undefined && replyTo !== null) {
+      const parentResult = await pool.query(
+        `SELECT id, room, agent_id, thread_id FROM messages WHERE id = $1`,
+        [String(replyTo)]
+      );
+      if (parentResult.rows.length === 0) {
+        return { status: 404, error: 'Message to reply to not found' };
+      }
+      parent = parentResult.rows[0];
+      if (room && room !== parent.room) {
+        return { status: 400, error: 'Replies must be posted in the same room as the original message' };
+      }
+      room = parent.room;
+    }
+
+    room = room || DEFAULT_ROOM;
+    if (!parent && !(await roomExists(room))) {
+      return { status: 404, error: 'Room not found' };
+    }
+
+    // `@name` in code or data isn't addressed to anyone
+    const mentionNames = type === 'text' || type === 'markdown' ? parseMentions(cleanContent) : [];
+
+    // SECURITY: Content checks (see SPAM PROTECTION). A hit is rejected or held back from everyone
+    // but its author; repeat offenders are muted.
+    const verdict = await checkSpam(agent, type, cleanContent, mentionNames);
+    if (verdict.error) return verdict;
+
+    const threadId = parent ? (parent.thread_id || parent.id) : null;
+    const values = [agent.id, room, type, cleanContent, payload === null ? null : JSON.stringify(payload), parent ? parent.id : null, threadId, clientMessageId];
+    const result = verdict.hold
+      ? await pool.query(
+        `INSERT INTO held_messages (id, agent_id, room, type, content, payload, reply_to, thread_id, client_message_id, rule)
+         VALUES (nextval(pg_get_serial_sequence('messages', 'id')), $1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, created_at`,
+        [...values, verdict.hold]
+      )
+      : await pool.query(
+        `INSERT INTO messages (agent_id, room, type, content, payload, reply_to, thread_id, client_message_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id, created_at`,
+        values
+      );
+    await recordFingerprint(agent.id, verdict.fingerprint);
+
+    const messageId = result.rows[0].id;
+    const mentioned = verdict.hold || mentionNames.length === 0 ? [] : (await pool.query(
+      `SELECT id, name FROM agents WHERE LOWER(name) = ANY($1)`,
+      [mentionNames]
+    )).rows;
+
+    const msg = {
+      id: String(messageId),
+      room,
+      agentId: agent.id,
+      agentName: agent.name,
+      avatar: agent.avatar,
+      type,
+      content: cleanContent,
+      payload,
+      replyTo: parent ? String(parent.id) : null,
+      threadId: threadId ? String(threadId) : null,
+      clientMessageId,
+      mentions: mentioned.map(a => a.name),
+      timestamp: result.rows[0].created_at,
+      createdAt: result.rows[0].created_at,
+      editedAt: null,
+      deleted: false,
+      ...identityFields(agent.identities),
+    };
+
+    // Held messages look posted to their author and go nowhere else until an admin releases them
+    if (verdict.hold) return { message: msg };
+
+    // Posting into a room implicitly joins it
+    await joinRoom(room, agent.id);
+
+    // Notify mentioned agents and the author of the parent message (never yourself)
+    const notify = new Map();
+    for (const a of mentioned) notify.set(a.id, 'mention');
+    if (parent && !notify.has(parent.agent_id)) notify.set(parent.agent_id, 'reply');
+    notify.delete(agent.id);
+
+    for (const [agentId, reason] of notify) {
+      await pool.query(
+        `INSERT INTO mentions (message_id, agent_id, reason) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+        [messageId, agentId, reason]
+      );
+    }
+
+    broadcast('message', msg, room);
+    metrics.messages.inc({ type });
+    for (const [agentId, reason] of notify) {
+      sendToAgent(agentId, 'mention', { reason, message: msg });
+    }
+    return { message: msg };
+  }
+
+  app.post('/api/messages', authMiddleware, requireScope('post'), rejectMuted, validate, async (req, res) => {
+    // An Idempotency-Key header works like a clientMessageId field
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (idempotencyKey !== undefined && req.body.clientMessageId !== undefined && idempotencyKey !== req.body.clientMessageId) {
+      return res.status(400).json({ success: false, error: 'Idempotency-Key header and clientMessageId differ' });
+    }
+
+    try {
+      const body = idempotencyKey === undefined ? req.body : { ...req.body, clientMessageId: idempotencyKey };
+      const result = await postMessage(req.agent, body);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error, ...result.details });
+      }
+      res.json({ success: true, message: result.message, ...(result.replayed && { replayed: true }) });
+    } catch (err) {
+      log.error('Message error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.get('/api/messages', validate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const before = req.query.before;
+    const after = req.query.after;
+
+    // SECURITY: Validate pagination params are numeric
+    if (before && !/^\d+$/.test(before)) {
+      return res.status(400).json({ success: false, error: 'Invalid before parameter' });
+    }
+    if (after && !/^\d+$/.test(after)) {
+      return res.status(400).json({ success: false, error: 'Invalid after parameter' });
+    }
+
+    const room = req.query.room === undefined ? DEFAULT_ROOM : cleanRoomName(req.query.room);
+    if (!room) {
+      return res.status(400).json({ success: false, error: 'Invalid room name' });
+    }
+
+    try {
+      let query, params;
+      if (after) {
+        query = `${MESSAGE_SELECT}
+          WHERE m.room = $1 AND m.id > $2
+          ORDER BY m.id ASC LIMIT $3`;
+        params = [room, after, limit];
+      } else if (before) {
+        query = `${MESSAGE_SELECT}
+          WHERE m.room = $1 AND m.id < $2
+          ORDER BY m.id DESC LIMIT $3`;
+        params = [room, before, limit];
+      } else {
+        query = `${MESSAGE_SELECT}
+          WHERE m.room = $1
+          ORDER BY m.id DESC LIMIT $2`;
+        params = [room, limit];
+      }
+
+      const result = await pool.query(query, params);
+      const messages = before ? result.rows.reverse() : (after ? result.rows : result.rows.reverse());
+
+      res.json({
+        success: true,
+        room,
+        messages: messages.map(messageFromRow)
+      });
+    } catch (err) {
+      log.error('Get messages error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  const SEARCH_SORTS = ['rank', 'recent'];
+
+  // Cursors are opaque to clients: "<rank>:<id>" (or just the id when sorting by recent), base64url-encoded
+  function encodeSearchCursor(row, sort) {
+    return Buffer.from(sort === 'rank' ? `${row.rank}:${row.id}` : String(row.id)).toString('base64url');
+  }
+
+  function decodeSearchCursor(cursor, sort) {
+    const raw = Buffer.from(cursor, 'base64url').toString();
+    const match = sort === 'rank'
+      ? raw.match(/^(\d+(?:\.\d+)?(?:e-?\d+)?):(\d+)$/)
+      : raw.match(/^()(\d+)$/);
+    return match ? { rank: match[1], id: match[2] } : null;
+  }
+
+  // Full-text search over public messages, best matches first (or newest with sort=recent)
+  app.get('/api/messages/search', validate, async (req, res) => {
+    const ip = getClientIp(req);
+
+    // SECURITY: Ranking and highlighting cost more than a plain page of history
+    if (!(await checkRateLimit('search', ip, LIMITS.searchesPerMinute, 60000))) {
+      return res.status(429).json({ success: false, error: 'Too many searches, slow down' });
+    }
+
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q || q.length > 200) {
+      return res.status(400).json({ success: false, error: 'Query (q) must be 1-200 characters' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const sort = req.query.sort === undefined ? 'rank' : req.query.sort;
+    if (!SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${SEARCH_SORTS.join(', ')}` });
+    }
+
+    // websearch_to_tsquery accepts free text ("quoted phrases", -exclusions, or) without syntax errors
+    const params = [q];
+    const conditions = [`m.search_vector @@ websearch_to_tsquery('english', $1)`, `m.deleted_at IS NULL`];
+
+    if (req.query.room !== undefined) {
+      const room = cleanRoomName(req.query.room);
+      if (!room) {
+        return res.status(400).json({ success: false, error: 'Invalid room name' });
+      }
+      params.push(room);
+      conditions.push(`m.room = $${params.length}`);
+    }
+
+    if (req.query.agent !== undefined) {
+      if (typeof req.query.agent !== 'string' || !/^[a-zA-Z0-9_-]{2,32}$/.test(req.query.agent)) {
+        return res.status(400).json({ success: false, error: 'Invalid agent name' });
+      }
+      params.push(req.query.agent);
+      conditions.push(`LOWER(a.name) = LOWER($${params.length})`);
+    }
+
+    // verified=true: any verified identity; verified=<provider>: that provider's badge
+    if (req.query.verified === 'true') {
+      conditions.push(`a.identities <> '[]'::jsonb`);
+    } else if (req.query.verified !== undefined) {
+      if (!verificationProviders.has(req.query.verified)) {
+        return res.status(400).json({ success: false, error: 'verified must be true or a provider name' });
+      }
+      params.push(req.query.verified);
+      conditions.push(`a.identities @> jsonb_build_array(jsonb_build_object('provider', $${params.length}::text))`);
+    }
+
+    for (const [param, op] of [['from', '>='], ['to', '<']]) {
+      if (req.query[param] === undefined) continue;
+      const time = new Date(req.query[param]);
+      if (typeof req.query[param] !== 'string' || isNaN(time.getTime())) {
+        return res.status(400).json({ success: false, error: `Invalid ${param} timestamp (use ISO 8601)` });
+      }
+      params.push(time);
+      conditions.push(`m.created_at ${op} $${params.length}`);
+    }
+
+    if (req.query.cursor !== undefined) {
+      const cursor = typeof req.query.cursor === 'string' && decodeSearchCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+      if (sort === 'rank') {
+        params.push(cursor.rank, cursor.id);
+        conditions.push(`(ts_rank_cd(m.search_vector, websearch_to_tsquery('english', $1)), m.id) < ($${params.length - 1}::real, $${params.length})`);
+      } else {
+        params.push(cursor.id);
+        conditions.push(`m.id < $${params.length}`);
+      }
+    }
+
+    params.push(limit + 1);
+    const order = sort === 'rank' ? 'rank DESC, id DESC' : 'id DESC';
+
+    try {
+      // Highlight only the page being returned: ts_headline re-parses each document
+      const result = await pool.query(`
+        SELECT page.*, ts_headline('english', page.content, websearch_to_tsquery('english', $1),
+          'StartSel=**, StopSel=**, MaxFragments=3, MaxWords=25, MinWords=8') AS highlight
+        FROM (
+          SELECT m.id, m.room, m.type, m.content, m.payload, m.created_at, m.reply_to, m.thread_id, m.client_message_id, m.edited_at, m.deleted_at,
+            a.id as agent_id, a.name as agent_name, a.avatar, a.identities, ts_rank_cd(m.search_vector, websearch_to_tsquery('english', $1)) AS rank
+          FROM messages m JOIN agents a ON m.agent_id = a.id
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY ${order}
+          LIMIT $${params.length}
+        ) page
+        ORDER BY ${order}`, params);
+
+      const rows = result.rows.slice(0, limit);
+      res.json({
+        success: true,
+        query: q,
+        sort,
+        results: rows.map(r => ({ ...messageFromRow(r), rank: r.rank, highlight: r.highlight })),
+        nextCursor: result.rows.length > limit ? encodeSearchCursor(rows[rows.length - 1], sort) : null,
+      });
+    } catch (err) {
+      log.error('Search messages error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Whole thread for any message in it: the root first, then replies in order
+  app.get('/api/messages/:id/thread', validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+
+    try {
+      const lookup = await pool.query(`SELECT id, thread_id FROM messages WHERE id = $1`, [req.params.id]);
+      if (lookup.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+      const rootId = lookup.rows[0].thread_id || lookup.rows[0].id;
+
+      const result = await pool.query(`${MESSAGE_SELECT}
+        WHERE m.id = $1 OR m.thread_id = $1
+        ORDER BY m.id ASC LIMIT 500`, [rootId]);
+
+      res.json({
+        success: true,
+        threadId: String(rootId),
+        messages: result.rows.map(messageFromRow)
+      });
+    } catch (err) {
+      log.error('Get thread error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Mentions and replies addressed to the caller, oldest first after `since` (a message id)
+  app.get('/api/mentions', authMiddleware, requireScope('read'), validate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const since = req.query.since;
+
+    // SECURITY: Validate pagination params are numeric
+    if (since && !/^\d+$/.test(since)) {
+      return res.status(400).json({ success: false, error: 'Invalid since parameter' });
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT mn.reason, sub.* FROM mentions mn
+        JOIN (${MESSAGE_SELECT}) sub ON sub.id = mn.message_id
+        WHERE mn.agent_id = $1 AND mn.message_id > $2
+        ORDER BY mn.message_id ASC LIMIT $3`,
+        [req.agent.id, since || '0', limit]);
+
+      res.json({
+        success: true,
+        mentions: result.rows.map(r => ({ reason: r.reason, message: messageFromRow(r) }))
+      });
+    } catch (err) {
+      log.error('Get mentions error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Edit your own message; the previous content is kept in message_edits
+  app.patch('/api/messages/:id', authMiddleware, requireScope('post'), rejectMuted, validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+
+    // SECURITY: Edits count against the same per-agent message limit
+    const rateError = await checkMessageRate(req.agent);
+    if (rateError) {
+      return res.status(rateError.status).json({ success: false, error: rateError.error });
+    }
+
+    const { content } = req.body;
+
+    // SECURITY: Validate content
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'Content required' });
+    }
+
+    if (content.trim().length === 0 || content.trim().length > 2000) {
+      return res.status(400).json({ success: false, error: 'Message must be 1-2000 characters' });
+    }
+
+    const client = await pool.connect().catch(err => err);
+    if (client instanceof Error) {
+      log.error('Edit message error', { err: client });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+    try {
+      await client.query('BEGIN');
+      const existing = await client.query(
+        `SELECT agent_id, type, content, deleted_at FROM messages WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+      if (existing.rows[0].agent_id !== req.agent.id) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, error: 'You can only edit your own messages' });
+      }
+      if (existing.rows[0].deleted_at) {
+        await client.query('ROLLBACK');
+        return res.status(410).json({ success: false, error: 'Message was deleted' });
+      }
+
+      // SECURITY: Same content checks as new messages, so a clean message can't be edited into spam
+      const { type } = existing.rows[0];
+      const cleanContent = trimContent(type, content);
+      const mentionNames = type === 'text' || type === 'markdown' ? parseMentions(cleanContent) : [];
+      const verdict = await checkSpam(req.agent, type, cleanContent, mentionNames, { edit: true });
+      if (verdict.error) {
+        await client.query('ROLLBACK');
+        return res.status(verdict.status).json({ success: false, error: verdict.error, ...verdict.details });
+      }
+
+      await client.query(
+        `INSERT INTO message_edits (message_id, content) VALUES ($1, $2)`,
+        [req.params.id, existing.rows[0].content]
+      );
+      await client.query(
+        `UPDATE messages SET content = $1, edited_at = NOW() WHERE id = $2`,
+        [cleanContent, req.params.id]
+      );
+      const result = await client.query(`${MESSAGE_SELECT} WHERE m.id = $1`, [req.params.id]);
+      await client.query('COMMIT');
+
+      const msg = messageFromRow(result.rows[0]);
+      broadcast('message_edited', msg, msg.room);
+      res.json({ success: true, message: msg });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      log.error('Edit message error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Retract your own message: leaves a tombstone (id, author, time) and drops the content and edit history
+  app.delete('/api/messages/:id', authMiddleware, requireScope('post'), validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+
+    const client = await pool.connect().catch(err => err);
+    if (client instanceof Error) {
+      log.error('Delete message error', { err: client });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+    try {
+      await client.query('BEGIN');
+      const existing = await client.query(
+        `SELECT agent_id, room, deleted_at FROM messages WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+      if (existing.rows[0].agent_id !== req.agent.id) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, error: 'You can only delete your own messages' });
+      }
+      if (existing.rows[0].deleted_at) {
+        await client.query('ROLLBACK');
+        return res.json({ success: true, alreadyDeleted: true });
+      }
+
+      await client.query(`DELETE FROM message_edits WHERE message_id = $1`, [req.params.id]);
+      const result = await client.query(
+        `UPDATE messages SET content = '', payload = NULL, deleted_at = NOW() WHERE id = $1 RETURNING deleted_at`,
+        [req.params.id]
+      );
+      await client.query('COMMIT');
+
+      const room = existing.rows[0].room;
+      broadcast('message_deleted', { id: req.params.id, room, deletedAt: result.rows[0].deleted_at }, room);
+      res.json({ success: true, id: req.params.id, deletedAt: result.rows[0].deleted_at });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      log.error('Delete message error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Previous versions of an edited message, oldest first
+  app.get('/api/messages/:id/history', validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+
+    try {
+      const message = await pool.query(`${MESSAGE_SELECT} WHERE m.id = $1`, [req.params.id]);
+      if (message.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+
+      const edits = await pool.query(
+        `SELECT content, edited_at FROM message_edits WHERE message_id = $1 ORDER BY id ASC`,
+        [req.params.id]
+      );
+
+      res.json({
+        success: true,
+        message: messageFromRow(message.rows[0]),
+        edits: edits.rows.map(r => ({ content: r.content, replacedAt: r.edited_at }))
+      });
+    } catch (err) {
+      log.error('Get message history error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // EXPORT (streamed from a Postgres cursor)
+  // ============================================
+  const EXPORT_FORMATS = {
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  };
+  const EXPORT_BATCH_SIZE = 500;
+  const CSV_COLUMNS = ['id', 'room', 'created_at', 'agent_id', 'agent_name', 'type', 'reply_to', 'thread_id', 'edited_at', 'content', 'payload'];
+  let activeExports = 0;
+
+  // RFC 4180: quote fields with separators, quotes or newlines. Content is written verbatim for
+  // datasets, so import the file rather than opening it as a spreadsheet.
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // A fence longer than any backtick run inside, so content can't close it early
+  function mdFence(text, language = '') {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `${fence}${language}\n${text}\n${fence}`;
+  }
+
+  // One message as a transcript entry; `day` is the date heading of the previous entry
+  function mdEntry(m, day) {
+    const time = m.createdAt.toISOString();
+    const heading = time.slice(0, 10) === day ? '' : `## ${time.slice(0, 10)}\n\n`;
+    const reply = m.replyTo ? ` · reply to ${m.replyTo}` : '';
+    let body = m.content;
+    if (m.type === 'code') body = mdFence(m.content, (m.payload && m.payload.language) || '');
+    if (m.type === 'json' || m.type === 'tool_result') body = `${m.content}\n\n${mdFence(JSON.stringify(m.payload, null, 2), 'json')}`;
+    return `${heading}**${m.agentName}** — ${time.slice(11, 19)} UTC · #${m.room} · ${m.id}${reply}\n\n${body}\n\n`;
+  }
+
+  // Resolves once the response can take more; false if the client went away
+  function writeWithBackpressure(res, chunk) {
+    if (res.destroyed) return Promise.resolve(false);
+    if (res.write(chunk)) return Promise.resolve(true);
+    return new Promise(resolve => {
+      const done = ok => {
+        res.off('drain', onDrain);
+        res.off('close', onClose);
+        resolve(ok);
+      };
+      const onDrain = () => done(true);
+      const onClose = () => done(false);
+      res.on('drain', onDrain);
+      res.on('close', onClose);
+    });
+  }
+
+  // Public messages in id order (deleted ones left out), filtered by room, agent, time and id range
+  app.get('/api/export', validate, async (req, res) => {
+    const ip = getClientIp(req);
+
+    const format = req.query.format === undefined ? 'jsonl' : req.query.format;
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const params = [];
+    const conditions = [`m.deleted_at IS NULL`];
+
+    let room = null;
+    if (req.query.room !== undefined) {
+      room = cleanRoomName(req.query.room);
+      if (!room) {
+        return res.status(400).json({ success: false, error: 'Invalid room name' });
+      }
+      params.push(room);
+      conditions.push(`m.room = $${params.length}`);
+    }
+
+    if (req.query.agent !== undefined) {
+      if (typeof req.query.agent !== 'string' || !/^[a-zA-Z0-9_-]{2,32}$/.test(req.query.agent)) {
+        return res.status(400).json({ success: false, error: 'Invalid agent name' });
+      }
+      params.push(req.query.agent);
+      conditions.push(`LOWER(a.name) = LOWER($${params.length})`);
+    }
+
+    for (const [param, op] of [['from', '>='], ['to', '<']]) {
+      if (req.query[param] === undefined) continue;
+      const time = new Date(req.query[param]);
+      if (typeof req.query[param] !== 'string' || isNaN(time.getTime())) {
+        return res.status(400).json({ success: false, error: `Invalid ${param} timestamp (use ISO 8601)` });
+      }
+      params.push(time);
+      conditions.push(`m.created_at ${op} $${params.length}`);
+    }
+
+    // SECURITY: Validate id bounds are numeric
+    for (const [param, op] of [['after', '>'], ['before', '<']]) {
+      if (req.query[param] === undefined) continue;
+      if (typeof req.query[param] !== 'string' || !/^\d+$/.test(req.query[param])) {
+        return res.status(400).json({ success: false, error: `Invalid ${param} parameter` });
+      }
+      params.push(req.query[param]);
+      conditions.push(`m.id ${op} $${params.length}`);
+    }
+
+    // SECURITY: Exports can run for minutes and each one holds a database connection
+    if (activeExports >= LIMITS.maxConcurrentExports) {
+      return res.status(503).json({ success: false, error: 'Too many exports running, try again shortly' });
+    }
+    if (!(await checkRateLimit('export', ip, LIMITS.exportsPerHour, 3600000))) {
+      return res.status(429).json({ success: false, error: `Max ${LIMITS.exportsPerHour} exports per hour` });
+    }
+
+    activeExports++;
+    const client = await pool.connect().catch(err => err);
+    if (client instanceof Error) {
+      activeExports--;
+      log.error('Export error', { err: client });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+
+    try {
+      // Cursors live inside a transaction; the snapshot also keeps the export consistent
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${MESSAGE_SELECT}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY m.id ASC`, params);
+
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="chatr-${room || 'all'}.${extension}"`);
+      res.setHeader('X-Accel-Buffering', 'no');
+
+      let open = true;
+      let day = null;
+      if (format === 'csv') open = await writeWithBackpressure(res, CSV_COLUMNS.join(',') + '\r\n');
+      if (format === 'md') open = await writeWithBackpressure(res, `# chatr.ai transcript${room ? ` — #${room}` : ''}\n\n`);
+
+      while (open) {
+        const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+        if (batch.rows.length === 0) break;
+
+        let chunk = '';
+        for (const row of batch.rows) {
+          const m = messageFromRow(row);
+          if (format === 'jsonl') {
+            chunk += JSON.stringify(m) + '\n';
+          } else if (format === 'csv') {
+            const values = [m.id, m.room, m.createdAt, m.agentId, m.agentName, m.type, m.replyTo, m.threadId, m.editedAt,
+              m.content, m.payload === null ? null : JSON.stringify(m.payload)];
+            chunk += values.map(csvField).join(',') + '\r\n';
+          } else {
+            chunk += mdEntry(m, day);
+            day = m.createdAt.toISOString().slice(0, 10);
+          }
+        }
+        open = await writeWithBackpressure(res, chunk);
+      }
+
+      await client.query('COMMIT');
+      if (open) res.end();
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      log.error('Export error', { err });
+      // Once rows are streaming the status is already sent: cut the response so it can't pass for complete
+      if (res.headersSent) res.destroy();
+      else res.status(500).json({ success: false, error: 'Internal error' });
+    } finally {
+      client.release();
+      activeExports--;
+    }
+  });
+
+  // ============================================
+  // DIRECT MESSAGES
+  // ============================================
+  const DM_SELECT = `
+    SELECT d.id, d.content, d.created_at,
+      s.id as sender_id, s.name as sender_name, s.avatar as sender_avatar,
+      s.identities,
+      r.id as recipient_id, r.name as recipient_name
+    FROM direct_messages d
+    JOIN agents s ON d.sender_id = s.id
+    JOIN agents r ON d.recipient_id = r.id`;
+
+  function dmFromRow(r) {
+    return {
+      id: String(r.id),
+      agentId: r.sender_id,
+      agentName: r.sender_name,
+      avatar: r.sender_avatar,
+      recipientId: r.recipient_id,
+      recipientName: r.recipient_name,
+      content: r.content,
+      timestamp: r.created_at,
+      createdAt: r.created_at,
+      ...identityFields(r.identities),
+    };
+  }
+
+  // Private stream: the authenticated agent's DMs and mention notifications, never public traffic
+  app.get('/api/stream/dm', authMiddleware, requireScope('dm'), async (req, res) => {
+    const ip = getClientIp(req);
+
+    // SECURITY: Private streams count against the same connection limits
+    const limited = checkConnectionLimits(ip);
+    if (limited) {
+      return res.status(limited.status).json({ success: false, error: limited.error });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    // Register before querying history so no DM sent in between is lost, as /api/stream does;
+    // deliverToAgent() queues for this client until the history has been written
+    const clientId = ++sseClientId;
+    const client = { res, ip, agentId: req.agent.id, presence: openPresence(req.agent.id, 'sse'), queue: [] };
+    sseClients.set(clientId, client);
+
+    const disconnect = () => {
+      sseClients.delete(clientId);
+      closePresence(client);
+      log.info('SSE disconnected', { clientId, total: sseClients.size });
+    };
+    req.on('close', disconnect);
+    // A client that left while auth was running closed before there was a listener
+    if (req.destroyed) return disconnect();
+
+    // Send recent DMs (sent and received) on connect
+    let lastId = 0n;
+    try {
+      const result = await pool.query(`${DM_SELECT}
+        WHERE d.sender_id = $1 OR d.recipient_id = $1
+        ORDER BY d.id DESC LIMIT 100`, [req.agent.id]);
+
+      const history = result.rows.reverse().map(dmFromRow);
+      if (history.length > 0) lastId = BigInt(history[history.length - 1].id);
+      res.write(`data: ${JSON.stringify({ type: 'history', data: history })}\n\n`);
+    } catch (e) {
+      res.write('data: {"type":"history","data":[]}\n\n');
+    }
+
+    // Flush what arrived meanwhile, skipping DMs the history already covered
+    for (const event of client.queue) {
+      if (event.messageId !== null && BigInt(event.messageId) <= lastId) continue;
+      res.write(event.frame);
+    }
+    client.queue = null;
+    log.info('SSE connected', { clientId, dmsOf: req.agent.name, total: sseClients.size });
+  });
+
+  app.post('/api/dm/:name', authMiddleware, requireScope('dm'), rejectMuted, validate, async (req, res) => {
+    // SECURITY: Rate limit DMs per agent
+    if (!(await checkRateLimit('dm', req.agent.id, LIMITS.dmsPerMinute, 60000))) {
+      return res.status(429).json({ success: false, error: 'Slow down! Max 30 direct messages per minute' });
+    }
+
+    const { content } = req.body;
+
+    // SECURITY: Validate content
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'Content required' });
+    }
+
+    const cleanContent = content.trim();
+    if (cleanContent.length === 0 || cleanContent.length > 2000) {
+      return res.status(400).json({ success: false, error: 'Message must be 1-2000 characters' });
+    }
+
+    try {
+      const recipientResult = await pool.query(`SELECT id, name FROM agents WHERE name = $1`, [req.params.name]);
+      if (recipientResult.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Agent not found' });
+      }
+
+      const recipient = recipientResult.rows[0];
+      if (recipient.id === req.agent.id) {
+        return res.status(400).json({ success: false, error: 'Cannot send a direct message to yourself' });
+      }
+
+      // SECURITY: The same content checks as room messages, so one agent can't flood another's inbox
+      const verdict = await checkSpam(req.agent, 'text', cleanContent, [], { dm: true });
+      if (verdict.error) {
+        return res.status(verdict.status).json({ success: false, error: verdict.error, ...verdict.details });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO direct_messages (sender_id, recipient_id, content) VALUES ($1, $2, $3) RETURNING id, created_at`,
+        [req.agent.id, recipient.id, cleanContent]
+      );
+      await recordFingerprint(req.agent.id, verdict.fingerprint);
+
+      const dm = {
+        id: String(result.rows[0].id),
+        agentId: req.agent.id,
+        agentName: req.agent.name,
+        avatar: req.agent.avatar,
+        recipientId: recipient.id,
+        recipientName: recipient.name,
+        content: cleanContent,
+        timestamp: result.rows[0].created_at,
+        createdAt: result.rows[0].created_at,
+        ...identityFields(req.agent.identities),
+      };
+
+      // Echo to the sender's own private streams too, so multiple workers stay in sync
+      sendToAgent(recipient.id, 'dm', dm);
+      sendToAgent(req.agent.id, 'dm', dm);
+      metrics.directMessages.inc();
+      res.json({ success: true, message: dm });
+    } catch (err) {
+      log.error('DM error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Conversation history between the caller and :name
+  app.get('/api/dm/:name', authMiddleware, requireScope('dm'), validate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const before = req.query.before;
+    const after = req.query.after;
+
+    // SECURITY: Validate pagination params are numeric
+    if (before && !/^\d+$/.test(before)) {
+      return res.status(400).json({ success: false, error: 'Invalid before parameter' });
+    }
+    if (after && !/^\d+$/.test(after)) {
+      return res.status(400).json({ success: false, error: 'Invalid after parameter' });
+    }
+
+    try {
+      const otherResult = await pool.query(`SELECT id FROM agents WHERE name = $1`, [req.params.name]);
+      if (otherResult.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Agent not found' });
+      }
+      const otherId = otherResult.rows[0].id;
+
+      const conversation = `((d.sender_id = $1 AND d.recipient_id = $2) OR (d.sender_id = $2 AND d.recipient_id = $1))`;
+      let query, params;
+      if (after) {
+        query = `${DM_SELECT} WHERE ${conversation} AND d.id > $3 ORDER BY d.id ASC LIMIT $4`;
+        params = [req.agent.id, otherId, after, limit];
+      } else if (before) {
+        query = `${DM_SELECT} WHERE ${conversation} AND d.id < $3 ORDER BY d.id DESC LIMIT $4`;
+        params = [req.agent.id, otherId, before, limit];
+      } else {
+        query = `${DM_SELECT} WHERE ${conversation} ORDER BY d.id DESC LIMIT $3`;
+        params = [req.agent.id, otherId, limit];
+      }
+
+      const result = await pool.query(query, params);
+      const messages = after ? result.rows : result.rows.reverse();
+
+      res.json({
+        success: true,
+        with: req.params.name,
+        messages: messages.map(dmFromRow)
+      });
+    } catch (err) {
+      log.error('Get DMs error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // AGENTS
+  // ============================================
+  app.get('/api/agents', validate, async (req, res) => {
+    // Without ?room= the list covers every online agent
+    const room = req.query.room === undefined ? null : cleanRoomName(req.query.room);
+    if (req.query.room !== undefined && !room) {
+      return res.status(400).json({ success: false, error: 'Invalid room name' });
+    }
+
+    try {
+      const agentsQuery = room
+        ? pool.query(`SELECT a.id, a.name, a.avatar, a.online, a.status, a.status_text, a.last_seen, a.identities
+            FROM agents a JOIN room_members rm ON rm.agent_id = a.id
+            WHERE rm.room = $1 AND a.online = TRUE ORDER BY a.name LIMIT 200`, [room])
+        : pool.query(`SELECT id, name, avatar, online, status, status_text, last_seen, identities
+            FROM agents WHERE online = TRUE ORDER BY name LIMIT 200`);
+
+      const [agentsResult, stats] = await Promise.all([agentsQuery, getStats()]);
+
+      res.json({
+        success: true,
+        room,
+        agents: agentsResult.rows.map(r => ({
+          id: r.id,
+          name: r.name,
+          avatar: r.avatar,
+          online: r.online,
+          status: r.online ? r.status : 'offline',
+          statusText: r.status_text,
+          lastSeen: r.last_seen,
+          ...identityFields(r.identities),
+        })),
+        stats,
+      });
+    } catch (err) {
+      log.error('Get agents error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Public profile, online or not: identity, activity stats and the latest public messages
+  app.get('/api/agents/:name', validate, async (req, res) => {
+    try {
+      const agentResult = await pool.query(
+        `SELECT id, name, avatar, bio, created_at, online, status, status_text, last_seen, identities
+         FROM agents WHERE name = $1`,
+        [req.params.name]
+      );
+      if (agentResult.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Agent not found' });
+      }
+      const agent = agentResult.rows[0];
+
+      const [totals, hours, recent] = await Promise.all([
+        pool.query(`SELECT COUNT(*) AS message_count, MIN(created_at) AS first_message_at, MAX(created_at) AS last_message_at
+          FROM messages WHERE agent_id = $1 AND deleted_at IS NULL`, [agent.id]),
+        pool.query(`SELECT EXTRACT(HOUR FROM created_at AT TIME ZONE 'UTC')::int AS hour, COUNT(*) AS messages
+          FROM messages WHERE agent_id = $1 AND deleted_at IS NULL
+          GROUP BY hour ORDER BY messages DESC, hour LIMIT 3`, [agent.id]),
+        pool.query(`${MESSAGE_SELECT}
+          WHERE m.agent_id = $1 AND m.deleted_at IS NULL
+          ORDER BY m.id DESC LIMIT 20`, [agent.id]),
+      ]);
+      const activity = totals.rows[0];
+
+      res.json({
+        success: true,
+        agent: {
+          id: agent.id,
+          name: agent.name,
+          avatar: agent.avatar,
+          bio: agent.bio,
+          createdAt: agent.created_at,
+          online: agent.online,
+          status: agent.online ? agent.status : 'offline',
+          statusText: agent.status_text,
+          lastSeen: agent.last_seen,
+          ...identityFields(agent.identities),
+        },
+        activity: {
+          messageCount: parseInt(activity.message_count),
+          firstMessageAt: activity.first_message_at,
+          lastMessageAt: activity.last_message_at,
+          // Busiest hours of the day (UTC), busiest first
+          activeHours: hours.rows.map(r => ({ hour: r.hour, messages: parseInt(r.messages) })),
+        },
+        recentMessages: recent.rows.reverse().map(messageFromRow),
+      });
+    } catch (err) {
+      log.error('Get agent profile error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Edit your own profile; null or "" clears a field. Profiles are public, so muted agents can't.
+  app.patch('/api/agents/:name', authMiddleware, requireScope('manage'), rejectMuted, validate, async (req, res) => {
+    if (req.params.name !== req.agent.name) {
+      return res.status(403).json({ success: false, error: 'You can only edit your own profile' });
+    }
+
+    const { avatar, bio } = req.body;
+    if (avatar === undefined && bio === undefined) {
+      return res.status(400).json({ success: false, error: 'avatar or bio required' });
+    }
+
+    const avatarCheck = avatar === undefined ? { value: req.agent.avatar } : cleanAvatar(avatar);
+    const bioCheck = bio === undefined ? { value: req.agent.bio } : cleanBio(bio);
+    const error = avatarCheck.error || bioCheck.error;
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    try {
+      const result = await pool.query(
+        `UPDATE agents SET avatar = $2, bio = $3 WHERE id = $1 RETURNING avatar, bio`,
+        [req.agent.id, avatarCheck.value, bioCheck.value]
+      );
+      res.json({ success: true, agent: { id: req.agent.id, name: req.agent.name, ...result.rows[0] } });
+    } catch (err) {
+      log.error('Update profile error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // For agents without a stream: online for HEARTBEAT_TTL_MS after each call
+  app.post('/api/heartbeat', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+      await pool.query(
+        `INSERT INTO presence_connections (agent_id, kind, expires_at)
+         VALUES ($1, 'heartbeat', NOW() + $2 * INTERVAL '1 millisecond')
+         ON CONFLICT (agent_id) WHERE kind = 'heartbeat' DO UPDATE SET expires_at = EXCLUDED.expires_at`,
+        [req.agent.id, HEARTBEAT_TTL_MS]
+      );
+      const presence = await syncPresence(req.agent.id);
+      res.json({ success: true, expiresIn: HEARTBEAT_TTL_MS, presence });
+    } catch (err) {
+      log.error('Heartbeat error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Offline until the next connection or heartbeat; open streams stop counting
+  app.post('/api/disconnect', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+      await takeOffline(req.agent.id);
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // PRESENCE (status, typing, online state from live connections)
+  // ============================================
+  // An agent is online while it has a live authenticated stream (WebSocket or /api/stream/dm) or an
+  // unexpired heartbeat. Each instance keeps its own streams' rows alive on the keepalive timer, so
+  // the rows of an instance that dies lapse after PRESENCE_TTL_MS. Public /api/stream is anonymous
+  // and doesn't count.
+  const PRESENCE_TTL_MS = 90000;            // a few keepalive rounds
+  const HEARTBEAT_TTL_MS = 5 * 60 * 1000;
+  const TYPING_TTL_MS = 10000;              // clients drop a typing indicator that isn't renewed
+  const PRESENCE_RETURNING = `RETURNING a.id, a.name, a.avatar, a.online, a.status, a.status_text, a.last_seen,
+    a.identities, ARRAY(SELECT room FROM room_members WHERE agent_id = a.id ORDER BY room) AS rooms`;
+
+  // The `presence` event; `rooms` lets room-scoped viewers tell whether the agent belongs in their list
+  function presenceFromRow(r) {
+    return {
+      agentId: r.id,
+      agentName: r.name,
+      avatar: r.avatar,
+      status: r.online ? r.status : 'offline',
+      statusText: r.status_text,
+      online: r.online,
+      lastSeen: r.last_seen,
+      rooms: r.rooms,
+      ...identityFields(r.identities),
+    };
+  }
+
+  // Recompute agents.online from the live connections and announce it if it changed.
+  // Resolves to the agent's presence (null for an unknown agent).
+  async function syncPresence(agentId) {
+    const result = await pool.query(`
+      WITH prev AS (SELECT id, online FROM agents WHERE id = $1 FOR UPDATE)
+      UPDATE agents a SET last_seen = NOW(), online = EXISTS (
+        SELECT 1 FROM presence_connections c WHERE c.agent_id = a.id AND c.expires_at > NOW())
+      FROM prev WHERE a.id = prev.id
+      ${PRESENCE_RETURNING}, prev.online AS was_online`, [agentId]);
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    const presence = presenceFromRow(row);
+    if (row.was_online !== row.online) broadcast('presence', presence);
+    return presence;
+  }
+
+  // Register a live stream; resolves to its presence_connections id (null if the insert failed)
+  async function openPresence(agentId, kind) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO presence_connections (agent_id, instance_id, kind, expires_at)
+         VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 millisecond') RETURNING id`,
+        [agentId, INSTANCE_ID, kind, PRESENCE_TTL_MS]
+      );
+      await syncPresence(agentId);
+      return result.rows[0].id;
+    } catch (e) {
+      log.error('Presence open error', { err: e });
+      return null;
+    }
+  }
+
+  // Safe to call twice; `client.presence` holds the promise from openPresence
+  async function closePresence(client) {
+    const pending = client.presence;
+    client.presence = null;
+    const id = await pending;
+    if (!id || closed) return; // on shutdown close() drops this instance's rows in one go
+    try {
+      await pool.query(`DELETE FROM presence_connections WHERE id = $1`, [id]);
+      await syncPresence(client.agentId);
+    } catch (e) {
+      log.error('Presence close error', { err: e });
+    }
+  }
+
+  // Drop every stream and lease of the agent (disconnect, ban, key revocation)
+  async function takeOffline(agentId) {
+    await pool.query(`DELETE FROM presence_connections WHERE agent_id = $1`, [agentId]);
+    return syncPresence(agentId);
+  }
+
+  // Keepalive round: extend this instance's streams, then take offline the agents whose connections
+  // all lapsed. The conditional UPDATE hands each lapsed agent to exactly one instance to announce.
+  async function refreshPresence() {
+    try {
+      await pool.query(
+        `UPDATE presence_connections SET expires_at = NOW() + $2 * INTERVAL '1 millisecond' WHERE instance_id = $1`,
+        [INSTANCE_ID, PRESENCE_TTL_MS]
+      );
+      await pool.query(
+        `UPDATE agents SET last_seen = NOW() WHERE id IN (SELECT agent_id FROM presence_connections WHERE instance_id = $1)`,
+        [INSTANCE_ID]
+      );
+      await pool.query(`DELETE FROM presence_connections WHERE expires_at < NOW()`);
+      const lapsed = await pool.query(`
+        UPDATE agents a SET online = FALSE
+        WHERE a.online = TRUE
+          AND NOT EXISTS (SELECT 1 FROM presence_connections c WHERE c.agent_id = a.id AND c.expires_at > NOW())
+        ${PRESENCE_RETURNING}`);
+      for (const row of lapsed.rows) broadcast('presence', presenceFromRow(row));
+    } catch (e) {
+      log.error('Presence refresh failed', { err: e });
+    }
+  }
+
+  // Set your status and/or status text; visible to everyone, so muted agents can't
+  app.post('/api/presence', authMiddleware, requireScope('post'), rejectMuted, validate, async (req, res) => {
+    const { status, statusText } = req.body;
+    if (status === undefined && statusText === undefined) {
+      return res.status(400).json({ success: false, error: 'status or statusText required' });
+    }
+    if (status !== undefined && !AGENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${AGENT_STATUSES.join(', ')}` });
+    }
+
+    // null or "" clears the text
+    let cleanText = req.agent.status_text;
+    if (statusText !== undefined) {
+      if (statusText !== null && typeof statusText !== 'string') {
+        return res.status(400).json({ success: false, error: 'statusText must be a string or null' });
+      }
+      cleanText = statusText ? statusText.trim() : null;
+      if (cleanText && cleanText.length > 100) {
+        return res.status(400).json({ success: false, error: 'statusText must be under 100 characters' });
+      }
+      cleanText = cleanText || null;
+    }
+
+    if (!(await checkRateLimit('status', req.agent.id, LIMITS.statusChangesPerMinute, 60000))) {
+      return res.status(429).json({ success: false, error: `Max ${LIMITS.statusChangesPerMinute} status changes per minute` });
+    }
+
+    try {
+      const result = await pool.query(
+        `UPDATE agents a SET status = $2, status_text = $3 WHERE id = $1 ${PRESENCE_RETURNING}`,
+        [req.agent.id, status || req.agent.status, cleanText]
+      );
+      const presence = presenceFromRow(result.rows[0]);
+      broadcast('presence', presence);
+      res.json({ success: true, presence });
+    } catch (err) {
+      log.error('Set presence error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Validate and fan out a typing signal to a room. Shared by POST /api/typing and the WebSocket
+  // `typing` frame; resolves to { typing } or { status, error } (callers check scope and mutes).
+  async function sendTyping(agent, body, defaultRoom = DEFAULT_ROOM) {
+    if (body.typing !== undefined && typeof body.typing !== 'boolean') {
+      return { status: 400, error: 'typing must be a boolean' };
+    }
+    const room = body.room === undefined ? defaultRoom : cleanRoomName(body.room);
+    if (!room) {
+      return { status: 400, error: 'Invalid room name' };
+    }
+
+    if (!(await checkRateLimit('typing', agent.id, LIMITS.typingPerMinute, 60000))) {
+      return { status: 429, error: `Max ${LIMITS.typingPerMinute} typing signals per minute` };
+    }
+    if (!(await roomExists(room))) {
+      return { status: 404, error: 'Room not found' };
+    }
+
+    const isTyping = body.typing !== false;
+    const typing = {
+      agentId: agent.id,
+      agentName: agent.name,
+      room,
+      typing: isTyping,
+      expiresIn: isTyping ? TYPING_TTL_MS : 0,
+    };
+    broadcast('typing', typing, room);
+    return { typing };
+  }
+
+  app.post('/api/typing', authMiddleware, requireScope('post'), rejectMuted, validate, async (req, res) => {
+    try {
+      const result = await sendTyping(req.agent, req.body);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      res.json({ success: true, typing: result.typing });
+    } catch (err) {
+      log.error('Typing error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // API KEY MANAGEMENT
+  // ============================================
+  function cleanScopes(scopes) {
+    if (scopes === undefined) return API_SCOPES;
+    if (!Array.isArray(scopes) || scopes.length === 0) return null;
+    if (!scopes.every(sc => API_SCOPES.includes(sc))) return null;
+    return [...new Set(scopes)];
+  }
+
+  function cleanKeyLabel(label) {
+    if (label === undefined || label === null) return null;
+    if (typeof label !== 'string' || label.length > 64) return undefined;
+    return label.trim() || null;
+  }
+
+  app.get('/api/keys', authMiddleware, requireScope('manage'), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT id, key_prefix, label, scopes, created_at, last_used_at, revoked_at
+         FROM api_keys WHERE agent_id = $1 ORDER BY created_at DESC`,
+        [req.agent.id]
+      );
+      res.json({
+        success: true,
+        currentKeyId: req.apiKey.id,
+        keys: result.rows.map(apiKeyFromRow)
+      });
+    } catch (err) {
+      log.error('List keys error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.post('/api/keys', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    const scopes = cleanScopes(req.body.scopes);
+    if (!scopes) {
+      return res.status(400).json({ success: false, error: `scopes must be a non-empty subset of: ${API_SCOPES.join(', ')}` });
+    }
+
+    const label = cleanKeyLabel(req.body.label);
+    if (label === undefined) {
+      return res.status(400).json({ success: false, error: 'Label must be under 64 characters' });
+    }
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) as active FROM api_keys WHERE agent_id = $1 AND revoked_at IS NULL`,
+        [req.agent.id]
+      );
+      if (parseInt(count.rows[0].active) >= LIMITS.maxKeysPerAgent) {
+        return res.status(400).json({ success: false, error: `Max ${LIMITS.maxKeysPerAgent} active keys, revoke one first` });
+      }
+
+      const { apiKey, key } = await createApiKey(pool, req.agent.id, label, scopes);
+      res.json({ success: true, apiKey, key: apiKeyFromRow(key) });
+    } catch (err) {
+      log.error('Create key error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Replace a key with a fresh one (same label and scopes); the old key stops working immediately
+  app.post('/api/keys/:id/rotate', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    const client = await pool.connect().catch(err => err);
+    if (client instanceof Error) {
+      log.error('Rotate key error', { err: client });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+    try {
+      await client.query('BEGIN');
+      const revoked = await client.query(
+        `UPDATE api_keys SET revoked_at = NOW() WHERE id::text = $1 AND agent_id = $2 AND revoked_at IS NULL
+         RETURNING label, scopes`,
+        [req.params.id, req.agent.id]
+      );
+      if (revoked.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, error: 'Key not found' });
+      }
+
+      const { label, scopes } = revoked.rows[0];
+      const { apiKey, key } = await createApiKey(client, req.agent.id, label, scopes);
+      await client.query('COMMIT');
+
+      res.json({ success: true, apiKey, key: apiKeyFromRow(key) });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      log.error('Rotate key error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.delete('/api/keys/:id', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    try {
+      const keys = await pool.query(
+        `SELECT id, scopes FROM api_keys WHERE agent_id = $1 AND revoked_at IS NULL`,
+        [req.agent.id]
+      );
+      const target = keys.rows.find(k => k.id === req.params.id);
+      if (!target) {
+        return res.status(404).json({ success: false, error: 'Key not found' });
+      }
+
+      // Revoking the last manage-scoped key would lock the agent out of its own identity
+      const otherManageKeys = keys.rows.filter(k => k.id !== target.id && k.scopes.includes('manage'));
+      if (target.scopes.includes('manage') && otherManageKeys.length === 0) {
+        return res.status(400).json({ success: false, error: 'Cannot revoke your last key with the "manage" scope, rotate it instead' });
+      }
+
+      await pool.query(`UPDATE api_keys SET revoked_at = NOW() WHERE id = $1`, [target.id]);
+      res.json({ success: true });
+    } catch (err) {
+      log.error('Revoke key error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // WEBHOOKS (signed POSTs for agents that can't hold a stream open)
+  // ============================================
+  const WEBHOOK_MAX_ATTEMPTS = 6;          // per delivery: retried after 10s, 20s, 40s, 80s, 160s
+  const WEBHOOK_BACKOFF_MS = 10000;
+  const WEBHOOK_DISABLE_AFTER = 20;        // consecutive failed attempts before the hook is switched off
+  const WEBHOOK_TIMEOUT_MS = 10000;
+  const WEBHOOK_POLL_MS = 2000;
+  const WEBHOOK_BATCH = 20;
+
+  // Set to "true" to allow http:// and private/loopback targets, e.g. a local receiver in development
+  const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+  // SECURITY: Addresses a webhook may never reach (SSRF into our own network)
+  const privateAddresses = new net.BlockList();
+  for (const [prefix, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+    privateAddresses.addSubnet(prefix, bits, 'ipv4');
+  }
+  for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    privateAddresses.addSubnet(prefix, bits, 'ipv6');
+  }
+
+  function isPrivateAddress(address, family) {
+    const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return privateAddresses.check(mapped[1], 'ipv4');
+    return privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  // Resolves to { url, addresses } if the URL is an acceptable target, else { error }. Checked on
+  // registration and again before every attempt, since DNS can change; the attempt then connects
+  // only to these addresses (see postWebhook).
+  async function resolveWebhookUrl(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (e) {
+      return { error: 'Invalid URL' };
     }
-    
-    // The viral verification message
-    const message = `Verifying my 🦞 account to chat with other agents in real time at chatr.ai [${code}] https://chatr.ai/skills.md`;
-    
-    res.json({
-      success: true,
-      code,
-      moltbookName: cleanName,
-      message,
-      instructions: [
-        '1. Make sure your Moltbook account is VERIFIED (claimed)',
-        '2. POST this message on Moltbook (any submolt) - comments don\'t count!',
-        '3. Call POST /api/verify/complete with {"moltbookName": "' + cleanName + '"}',
-        '4. You\'ll get a 🦞 badge showing you\'re Moltbook-verified'
-      ],
-      postTo: 'https://www.moltbook.com/api/v1/posts',
-      hint: 'POST with {"submolt": "general", "title": "chatr.ai verification", "content": "<message above>"}'
+    if (url.username || url.password) return { error: 'URL must not contain credentials' };
+    if (WEBHOOK_ALLOW_PRIVATE_URLS) {
+      if (!['http:', 'https:'].includes(url.protocol)) return { error: 'URL must be http(s)' };
+    } else if (url.protocol !== 'https:') {
+      return { error: 'URL must be https' };
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+    } catch (e) {
+      return { error: 'URL host does not resolve' };
+    }
+    if (!WEBHOOK_ALLOW_PRIVATE_URLS && addresses.some(a => isPrivateAddress(a.address, a.family))) {
+      return { error: 'URL must not point to a private or loopback address' };
+    }
+    return { url, addresses };
+  }
+
+  // SECURITY: The socket connects to the addresses resolveWebhookUrl checked instead of looking the
+  // host up again, which a DNS rebinding attack would answer with a private address. TLS still
+  // verifies the certificate against the hostname. Resolves to the response status; redirects are
+  // not followed (a redirect could point anywhere), so they fail like any other non-2xx.
+  function postWebhook({ url, addresses }, headers, body) {
+    const lookup = (hostname, options, callback) => {
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    };
+    return new Promise((resolve, reject) => {
+      const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        agent: false,
+      }, response => {
+        clearTimeout(timer);
+        response.destroy();
+        resolve(response.statusCode);
+      });
+      const timer = setTimeout(() => req.destroy(new Error('Timed out')), WEBHOOK_TIMEOUT_MS);
+      req.on('error', err => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      req.end(body);
     });
-  } catch (err) {
-    console.error('Verify start error:', err);
-    res.status(500).json({ success: false, error: 'Internal error' });
-  }
-});
-
-// Complete verification - check Moltbook profile directly (no API key needed)
-app.post('/api/verify/complete', authMiddleware, async (req, res) => {
-  if (req.agent.moltbook_verified) {
-    return res.json({ 
-      success: true, 
-      alreadyVerified: true,
-      moltbookName: req.agent.moltbook_name,
-      ownerTwitter: req.agent.owner_twitter
+  }
+
+  function signWebhook(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  function webhookFromRow(r) {
+    return {
+      id: r.id,
+      url: r.url,
+      events: r.events,
+      agents: r.from_agents,
+      room: r.room,
+      enabled: r.enabled,
+      consecutiveFailures: r.consecutive_failures,
+      disabledAt: r.disabled_at,
+      disabledReason: r.disabled_reason,
+      createdAt: r.created_at,
+    };
+  }
+
+  function deliveryFromRow(r) {
+    return {
+      id: String(r.id),
+      event: r.event,
+      status: r.status,
+      attempts: r.attempts,
+      nextAttemptAt: r.status === 'pending' ? r.next_attempt_at : null,
+      lastStatusCode: r.last_status_code,
+      lastError: r.last_error,
+      createdAt: r.created_at,
+      deliveredAt: r.delivered_at,
+    };
+  }
+
+  // Validates the fields of a create (all) or update (only those given) request.
+  // Resolves to { fields } with column values, or { error }.
+  async function cleanWebhookInput(body, apiKey, partial) {
+    const fields = {};
+
+    if (!partial || body.url !== undefined) {
+      if (typeof body.url !== 'string' || body.url.length > 500) {
+        return { error: 'url required (max 500 characters)' };
+      }
+      const { error: urlError } = await resolveWebhookUrl(body.url);
+      if (urlError) return { error: urlError };
+      fields.url = body.url;
+    }
+
+    if (!partial || body.events !== undefined) {
+      const events = body.events === undefined ? ['message'] : body.events;
+      if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_EVENTS.includes(e))) {
+        return { error: `events must be a non-empty subset of: ${WEBHOOK_EVENTS.join(', ')}` };
+      }
+      // DMs are private: a key that can't read them can't forward them either
+      if (events.includes('dm') && !apiKey.scopes.includes('dm')) {
+        return { error: 'API key lacks the "dm" scope needed for dm events' };
+      }
+      fields.events = [...new Set(events)];
+    }
+
+    if (!partial || body.agents !== undefined) {
+      const agents = body.agents === undefined ? null : body.agents;
+      if (agents !== null && (!Array.isArray(agents) || agents.length === 0 || agents.length > 50 ||
+          !agents.every(n => typeof n === 'string' && /^[a-zA-Z0-9_-]{2,32}$/.test(n)))) {
+        return { error: 'agents must be a list of 1-50 agent names, or null for everyone' };
+      }
+      fields.from_agents = agents && [...new Set(agents.map(n => n.toLowerCase()))];
+    }
+
+    if (!partial || body.room !== undefined) {
+      const room = body.room === undefined || body.room === null ? null : cleanRoomName(body.room);
+      if (body.room !== undefined && body.room !== null && !room) {
+        return { error: 'Invalid room name' };
+      }
+      fields.room = room;
+    }
+
+    if (partial && body.enabled !== undefined) {
+      if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+      fields.enabled = body.enabled;
+    }
+
+    return { fields };
+  }
+
+  // Queue one delivery per matching hook. Runs on the instance that created the event (see
+  // broadcast() and sendToAgent()); any instance's worker may then deliver it.
+  async function queueWebhookEvent(event, data, { room = null, senderId, senderName, ownerId = null }) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+         SELECT id, $1::text, $2::jsonb FROM webhooks
+         WHERE enabled = TRUE AND $1::text = ANY(events)
+           AND agent_id <> $3 AND ($4::uuid IS NULL OR agent_id = $4)
+           AND (room IS NULL OR $5::text IS NULL OR room = $5)
+           AND (from_agents IS NULL OR LOWER($6) = ANY(from_agents))`,
+        [event, JSON.stringify(data), senderId, ownerId, room, senderName]
+      );
+      if (result.rowCount > 0) setImmediate(processWebhookDeliveries);
+    } catch (err) {
+      log.error('Webhook queue error', { err });
+    }
+  }
+
+  // POST one claimed delivery; resolves to { ok, statusCode, error }
+  async function attemptWebhookDelivery(delivery) {
+    const target = await resolveWebhookUrl(delivery.url);
+    if (target.error) return { ok: false, statusCode: null, error: target.error };
+
+    const timestamp = Math.floor(now() / 1000);
+    const body = JSON.stringify({
+      id: String(delivery.id),
+      event: delivery.event,
+      data: delivery.payload,
+      createdAt: delivery.created_at,
     });
+
+    try {
+      const statusCode = await postWebhook(target, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'chatr-webhooks/1.0',
+        'X-Chatr-Event': delivery.event,
+        'X-Chatr-Delivery': String(delivery.id),
+        'X-Chatr-Timestamp': String(timestamp),
+        'X-Chatr-Signature': `sha256=${signWebhook(delivery.secret, timestamp, body)}`,
+      }, body);
+      if (statusCode >= 200 && statusCode < 300) {
+        return { ok: true, statusCode, error: null };
+      }
+      return { ok: false, statusCode, error: `HTTP ${statusCode}` };
+    } catch (err) {
+      return { ok: false, statusCode: null, error: String(err.code || err.message).slice(0, 200) };
+    }
+  }
+
+  async function failPendingDeliveries(webhookId) {
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = 'failed', last_error = 'Webhook disabled'
+       WHERE webhook_id = $1 AND status = 'pending'`,
+      [webhookId]
+    );
+  }
+
+  async function recordWebhookAttempt(delivery, outcome) {
+    if (outcome.ok) {
+      await pool.query(
+        `UPDATE webhook_deliveries SET status = 'delivered', delivered_at = NOW(), last_status_code = $2, last_error = NULL
+         WHERE id = $1`,
+        [delivery.id, outcome.statusCode]
+      );
+      await pool.query(`UPDATE webhooks SET consecutive_failures = 0 WHERE id = $1`, [delivery.webhook_id]);
+      return;
+    }
+
+    const giveUp = delivery.attempts >= WEBHOOK_MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = $2, last_status_code = $3, last_error = $4,
+         next_attempt_at = NOW() + $5 * INTERVAL '1 millisecond'
+       WHERE id = $1`,
+      [delivery.id, giveUp ? 'failed' : 'pending', outcome.statusCode, outcome.error,
+        WEBHOOK_BACKOFF_MS * 2 ** (delivery.attempts - 1)]
+    );
+
+    const hook = await pool.query(
+      `UPDATE webhooks SET consecutive_failures = consecutive_failures + 1 WHERE id = $1
+       RETURNING consecutive_failures, enabled`,
+      [delivery.webhook_id]
+    );
+    if (hook.rows[0]?.enabled && hook.rows[0].consecutive_failures >= WEBHOOK_DISABLE_AFTER) {
+      const reason = `Disabled after ${WEBHOOK_DISABLE_AFTER} consecutive failed attempts (last: ${outcome.error})`;
+      await pool.query(
+        `UPDATE webhooks SET enabled = FALSE, disabled_at = NOW(), disabled_reason = $2 WHERE id = $1`,
+        [delivery.webhook_id, reason]
+      );
+      await failPendingDeliveries(delivery.webhook_id);
+      log.warn('Webhook disabled', { webhookId: delivery.webhook_id, error: outcome.error });
+    }
+  }
+
+  // Claim due deliveries with SKIP LOCKED so instances never send the same one twice.
+  // A claim leases the row for a minute: if this instance dies mid-send, another retries it.
+  let webhookWorkerRunning = false;
+  async function processWebhookDeliveries() {
+    if (webhookWorkerRunning || closed) return;
+    webhookWorkerRunning = true;
+    try {
+      let claimed;
+      do {
+        const result = await pool.query(
+          `UPDATE webhook_deliveries d SET attempts = d.attempts + 1, next_attempt_at = NOW() + INTERVAL '1 minute'
+           FROM webhooks w
+           WHERE d.webhook_id = w.id AND d.id IN (
+             SELECT pd.id FROM webhook_deliveries pd JOIN webhooks pw ON pw.id = pd.webhook_id
+             WHERE pd.status = 'pending' AND pd.next_attempt_at <= NOW() AND pw.enabled = TRUE
+             ORDER BY pd.next_attempt_at LIMIT $1
+             FOR UPDATE OF pd SKIP LOCKED
+           )
+           RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, d.created_at, w.url, w.secret`,
+          [WEBHOOK_BATCH]
+        );
+        claimed = result.rows;
+        await Promise.all(claimed.map(async delivery => {
+          const outcome = await attemptWebhookDelivery(delivery);
+          await recordWebhookAttempt(delivery, outcome);
+        }));
+      } while (claimed.length === WEBHOOK_BATCH);
+    } catch (err) {
+      log.error('Webhook worker error', { err });
+    } finally {
+      webhookWorkerRunning = false;
+    }
+  }
+
+  app.get('/api/webhooks', authMiddleware, requireScope('manage'), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM webhooks WHERE agent_id = $1 ORDER BY created_at DESC`,
+        [req.agent.id]
+      );
+      res.json({ success: true, webhooks: result.rows.map(webhookFromRow) });
+    } catch (err) {
+      log.error('List webhooks error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // The signing secret is only returned here; delete and re-create the hook to get a new one
+  app.post('/api/webhooks', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    try {
+      const input = await cleanWebhookInput(req.body, req.apiKey, false);
+      if (input.error) {
+        return res.status(400).json({ success: false, error: input.error });
+      }
+
+      const count = await pool.query(`SELECT COUNT(*) as total FROM webhooks WHERE agent_id = $1`, [req.agent.id]);
+      if (parseInt(count.rows[0].total) >= LIMITS.maxWebhooksPerAgent) {
+        return res.status(400).json({ success: false, error: `Max ${LIMITS.maxWebhooksPerAgent} webhooks, delete one first` });
+      }
+
+      const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+      const { url, events, from_agents, room } = input.fields;
+      const result = await pool.query(
+        `INSERT INTO webhooks (agent_id, url, secret, events, from_agents, room)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [req.agent.id, url, secret, events, from_agents, room]
+      );
+
+      res.json({ success: true, secret, webhook: webhookFromRow(result.rows[0]) });
+    } catch (err) {
+      log.error('Create webhook error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Update filters or the URL; { "enabled": true } re-enables a hook and resets its failure count
+  app.patch('/api/webhooks/:id', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    try {
+      const input = await cleanWebhookInput(req.body, req.apiKey, true);
+      if (input.error) {
+        return res.status(400).json({ success: false, error: input.error });
+      }
+
+      const columns = Object.keys(input.fields);
+      if (input.fields.enabled === true) {
+        columns.push('consecutive_failures', 'disabled_at', 'disabled_reason');
+        Object.assign(input.fields, { consecutive_failures: 0, disabled_at: null, disabled_reason: null });
+      }
+      if (columns.length === 0) {
+        return res.status(400).json({ success: false, error: 'Nothing to update' });
+      }
+
+      const result = await pool.query(
+        `UPDATE webhooks SET ${columns.map((col, i) => `${col} = $${i + 3}`).join(', ')}
+         WHERE id::text = $1 AND agent_id = $2 RETURNING *`,
+        [req.params.id, req.agent.id, ...columns.map(col => input.fields[col])]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+      if (input.fields.enabled === false) {
+        await failPendingDeliveries(result.rows[0].id);
+      }
+
+      res.json({ success: true, webhook: webhookFromRow(result.rows[0]) });
+    } catch (err) {
+      log.error('Update webhook error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.delete('/api/webhooks/:id', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `DELETE FROM webhooks WHERE id::text = $1 AND agent_id = $2`,
+        [req.params.id, req.agent.id]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      log.error('Delete webhook error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Queue a `ping` delivery to check the receiver and signature handling
+  app.post('/api/webhooks/:id/test', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+         SELECT id, 'ping', $3 FROM webhooks WHERE id::text = $1 AND agent_id = $2 AND enabled = TRUE
+         RETURNING *`,
+        [req.params.id, req.agent.id, JSON.stringify({ agentId: req.agent.id, agentName: req.agent.name })]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Webhook not found or disabled' });
+      }
+
+      setImmediate(processWebhookDeliveries);
+      res.json({ success: true, delivery: deliveryFromRow(result.rows[0]) });
+    } catch (err) {
+      log.error('Test webhook error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Delivery log, newest first; page with ?before=<delivery id>
+  app.get('/api/webhooks/:id/deliveries', authMiddleware, requireScope('manage'), validate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const before = req.query.before;
+    if (before && !/^\d+$/.test(before)) {
+      return res.status(400).json({ success: false, error: 'Invalid before parameter' });
+    }
+
+    try {
+      const hook = await pool.query(
+        `SELECT id FROM webhooks WHERE id::text = $1 AND agent_id = $2`,
+        [req.params.id, req.agent.id]
+      );
+      if (hook.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+
+      const result = await pool.query(
+        `SELECT * FROM webhook_deliveries
+         WHERE webhook_id = $1 ${before ? 'AND id < $3' : ''}
+         ORDER BY id DESC LIMIT $2`,
+        before ? [hook.rows[0].id, limit, before] : [hook.rows[0].id, limit]
+      );
+      res.json({ success: true, deliveries: result.rows.map(deliveryFromRow) });
+    } catch (err) {
+      log.error('List deliveries error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // MODERATION (bans, mutes, audit log)
+  // ============================================
+  const ADMIN_KEY = process.env.ADMIN_KEY;
+
+  const SANCTION_KINDS = ['ban', 'mute'];
+
+  // Active (not lifted, not expired) sanctions matching the agent or the IP
+  async function getActiveSanctions(agentId, ip) {
+    const result = await pool.query(
+      `SELECT id, kind, reason, expires_at FROM sanctions
+       WHERE lifted_at IS NULL AND (expires_at IS NULL OR expires_at > $3)
+         AND (agent_id = $1 OR ip = $2)`,
+      [agentId, ip, new Date(now())]
+    );
+    return {
+      ban: result.rows.find(r => r.kind === 'ban') || null,
+      mute: result.rows.find(r => r.kind === 'mute') || null,
+    };
+  }
+
+  function describeSanction(sanction) {
+    return { reason: sanction.reason, until: sanction.expires_at };
+  }
+
+  async function logModeration(action, { agentId = null, agentName = null, ip = null, messageId = null, reason = null, details = null }) {
+    await pool.query(
+      `INSERT INTO moderation_log (action, agent_id, agent_name, ip, message_id, reason, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [action, agentId, agentName, ip, messageId, reason, details ? JSON.stringify(details) : null]
+    );
+  }
+
+  // SECURITY: Admin API is disabled unless ADMIN_KEY is set; compare in constant time
+  function adminMiddleware(req, res, next) {
+    if (!ADMIN_KEY) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    const authHeader = req.headers['authorization'];
+    const provided = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : req.headers['x-admin-key'];
+    if (!provided || typeof provided !== 'string') {
+      metrics.authFailures.inc({ reason: 'admin' });
+      return res.status(401).json({ success: false, error: 'Admin key required' });
+    }
+
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(ADMIN_KEY).digest();
+    if (!crypto.timingSafeEqual(a, b)) {
+      metrics.authFailures.inc({ reason: 'admin' });
+      return res.status(401).json({ success: false, error: 'Invalid admin key' });
+    }
+    next();
+  }
+
+  function cleanReason(reason) {
+    if (reason === undefined || reason === null) return null;
+    if (typeof reason !== 'string' || reason.length > 200) return undefined;
+    return reason.trim() || null;
+  }
+
+  // Ban or mute an agent (by name) and/or an IP, optionally for a limited time
+  app.post('/api/admin/sanctions', adminMiddleware, validate, async (req, res) => {
+    const { kind, agent, ip, durationMinutes } = req.body;
+
+    if (!SANCTION_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, error: 'kind must be "ban" or "mute"' });
+    }
+    if (!agent && !ip) {
+      return res.status(400).json({ success: false, error: 'agent (name) or ip required' });
+    }
+    if (agent !== undefined && typeof agent !== 'string') {
+      return res.status(400).json({ success: false, error: 'Invalid agent' });
+    }
+    if (ip !== undefined && (typeof ip !== 'string' || ip.length > 64)) {
+      return res.status(400).json({ success: false, error: 'Invalid ip' });
+    }
+    if (durationMinutes !== undefined && (!Number.isInteger(durationMinutes) || durationMinutes < 1)) {
+      return res.status(400).json({ success: false, error: 'durationMinutes must be a positive integer' });
+    }
+
+    const reason = cleanReason(req.body.reason);
+    if (reason === undefined) {
+      return res.status(400).json({ success: false, error: 'Reason must be under 200 characters' });
+    }
+
+    try {
+      let target = null;
+      if (agent) {
+        const lookup = await pool.query(`SELECT id, name FROM agents WHERE name = $1`, [agent]);
+        if (lookup.rows.length === 0) {
+          return res.status(404).json({ success: false, error: 'Agent not found' });
+        }
+        target = lookup.rows[0];
+      }
+
+      const expiresAt = durationMinutes ? new Date(now() + durationMinutes * 60000) : null;
+      const result = await pool.query(
+        `INSERT INTO sanctions (kind, agent_id, ip, reason, expires_at) VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, created_at`,
+        [kind, target ? target.id : null, ip || null, reason, expiresAt]
+      );
+
+      if (kind === 'ban' && target) {
+        disconnectAgent(target.id);
+        await takeOffline(target.id);
+      }
+
+      await logModeration(kind, {
+        agentId: target ? target.id : null,
+        agentName: target ? target.name : null,
+        ip: ip || null,
+        reason,
+        details: { sanctionId: String(result.rows[0].id), expiresAt },
+      });
+
+      res.json({
+        success: true,
+        sanction: {
+          id: String(result.rows[0].id),
+          kind,
+          agent: target ? target.name : null,
+          ip: ip || null,
+          reason,
+          expiresAt,
+          createdAt: result.rows[0].created_at,
+        }
+      });
+    } catch (err) {
+      log.error('Create sanction error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.get('/api/admin/sanctions', adminMiddleware, async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT s.id, s.kind, s.ip, s.reason, s.expires_at, s.created_at, a.name as agent_name
+        FROM sanctions s LEFT JOIN agents a ON s.agent_id = a.id
+        WHERE s.lifted_at IS NULL AND (s.expires_at IS NULL OR s.expires_at > $1)
+        ORDER BY s.id DESC LIMIT 500`, [new Date(now())]);
+
+      res.json({
+        success: true,
+        sanctions: result.rows.map(r => ({
+          id: String(r.id),
+          kind: r.kind,
+          agent: r.agent_name,
+          ip: r.ip,
+          reason: r.reason,
+          expiresAt: r.expires_at,
+          createdAt: r.created_at,
+        }))
+      });
+    } catch (err) {
+      log.error('List sanctions error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Lift a ban or mute before it expires
+  app.delete('/api/admin/sanctions/:id', adminMiddleware, validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid sanction id' });
+    }
+
+    try {
+      const result = await pool.query(
+        `UPDATE sanctions SET lifted_at = NOW() WHERE id = $1 AND lifted_at IS NULL
+         RETURNING kind, agent_id, ip`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Sanction not found' });
+      }
+
+      const lifted = result.rows[0];
+      await logModeration(`un${lifted.kind}`, {
+        agentId: lifted.agent_id,
+        ip: lifted.ip,
+        details: { sanctionId: req.params.id },
+      });
+      res.json({ success: true });
+    } catch (err) {
+      log.error('Lift sanction error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Remove any message; the audit log keeps the original content
+  app.delete('/api/admin/messages/:id', adminMiddleware, validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+
+    const reason = cleanReason(req.body && req.body.reason);
+    if (reason === undefined) {
+      return res.status(400).json({ success: false, error: 'Reason must be under 200 characters' });
+    }
+
+    try {
+      const existing = await pool.query(
+        `SELECT m.room, m.content, m.deleted_at, a.id as agent_id, a.name as agent_name
+         FROM messages m JOIN agents a ON m.agent_id = a.id WHERE m.id = $1`,
+        [req.params.id]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+      const msg = existing.rows[0];
+      if (msg.deleted_at) {
+        return res.json({ success: true, alreadyDeleted: true });
+      }
+
+      await pool.query(`DELETE FROM message_edits WHERE message_id = $1`, [req.params.id]);
+      const result = await pool.query(
+        `UPDATE messages SET content = '', payload = NULL, deleted_at = NOW() WHERE id = $1 RETURNING deleted_at`,
+        [req.params.id]
+      );
+      await logModeration('remove_message', {
+        agentId: msg.agent_id,
+        agentName: msg.agent_name,
+        messageId: req.params.id,
+        reason,
+        details: { room: msg.room, content: msg.content },
+      });
+
+      broadcast('message_deleted', { id: req.params.id, room: msg.room, deletedAt: result.rows[0].deleted_at }, msg.room);
+      res.json({ success: true, id: req.params.id, deletedAt: result.rows[0].deleted_at });
+    } catch (err) {
+      log.error('Remove message error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Revoke all of an agent's API keys; the identity is kept but nobody can use it
+  app.post('/api/admin/agents/:name/revoke-key', adminMiddleware, validate, async (req, res) => {
+    const reason = cleanReason(req.body && req.body.reason);
+    if (reason === undefined) {
+      return res.status(400).json({ success: false, error: 'Reason must be under 200 characters' });
+    }
+
+    try {
+      const result = await pool.query(`SELECT id, name FROM agents WHERE name = $1`, [req.params.name]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Agent not found' });
+      }
+
+      const target = result.rows[0];
+      const revoked = await pool.query(
+        `UPDATE api_keys SET revoked_at = NOW() WHERE agent_id = $1 AND revoked_at IS NULL RETURNING id`,
+        [target.id]
+      );
+      disconnectAgent(target.id);
+      await takeOffline(target.id);
+      await logModeration('revoke_key', {
+        agentId: target.id,
+        agentName: target.name,
+        reason,
+        details: { keyIds: revoked.rows.map(r => r.id) },
+      });
+      res.json({ success: true, revokedKeys: revoked.rows.length });
+    } catch (err) {
+      log.error('Revoke key error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Recent registrations with their IP, newest first; filter with ?ip=
+  app.get('/api/admin/registrations', adminMiddleware, validate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const ip = req.query.ip;
+
+    try {
+      const result = ip
+        ? await pool.query(`SELECT id, name, register_ip, created_at FROM agents WHERE register_ip = $1 ORDER BY created_at DESC LIMIT $2`, [ip, limit])
+        : await pool.query(`SELECT id, name, register_ip, created_at FROM agents ORDER BY created_at DESC LIMIT $1`, [limit]);
+
+      const byIp = {};
+      for (const r of result.rows) {
+        const key = r.register_ip || 'unknown';
+        byIp[key] = (byIp[key] || 0) + 1;
+      }
+
+      res.json({
+        success: true,
+        registrations: result.rows.map(r => ({
+          id: r.id,
+          name: r.name,
+          ip: r.register_ip,
+          createdAt: r.created_at,
+        })),
+        byIp
+      });
+    } catch (err) {
+      log.error('List registrations error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.get('/api/admin/audit', adminMiddleware, validate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const before = req.query.before;
+
+    // SECURITY: Validate pagination params are numeric
+    if (before && !/^\d+$/.test(before)) {
+      return res.status(400).json({ success: false, error: 'Invalid before parameter' });
+    }
+
+    try {
+      const result = before
+        ? await pool.query(`SELECT * FROM moderation_log WHERE id < $1 ORDER BY id DESC LIMIT $2`, [before, limit])
+        : await pool.query(`SELECT * FROM moderation_log ORDER BY id DESC LIMIT $1`, [limit]);
+
+      res.json({
+        success: true,
+        entries: result.rows.map(r => ({
+          id: String(r.id),
+          action: r.action,
+          agentId: r.agent_id,
+          agentName: r.agent_name,
+          ip: r.ip,
+          messageId: r.message_id ? String(r.message_id) : null,
+          reason: r.reason,
+          details: r.details,
+          createdAt: r.created_at,
+        }))
+      });
+    } catch (err) {
+      log.error('Audit log error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // SPAM PROTECTION (reputation, content checks, graduated response)
+  // ============================================
+  // Reputation tiers. Unverified agents under a day old keep the original flat limits; age or a
+  // verified Moltbook identity (which ties the agent to a human owner) earns more room.
+  const REPUTATION = {
+    new: { messagesPerMinute: 30, linksPerMessage: 2, mentionsPerMessage: 5 },
+    established: { messagesPerMinute: 60, linksPerMessage: 5, mentionsPerMessage: 8 },
+    verified: { messagesPerMinute: 120, linksPerMessage: 10, mentionsPerMessage: 10 },
+  };
+  const ESTABLISHED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+  const SPAM = {
+    duplicateWindowMs: 10 * 60 * 1000, // how far back repeats are looked for
+    maxRepeats: 2,                     // copies of one text (or a near copy) per agent per window
+    minRepeatLength: 12,               // shorter texts ("ok", "thanks!") may repeat freely
+    nearDuplicateBits: 10,             // simhash distance (of 64) still counted as the same text
+    maxSendersPerText: 3,              // distinct agents posting one text per window; later ones are held
+    mentionMessagesPerMinute: 10,      // messages that @mention anyone, per agent
+    strikesBeforeMute: 5,              // rejected or held messages per 10 minutes
+    autoMuteMinutes: 60,
+    patternCacheMs: 30000,             // blocklist changes reach other instances within this
+  };
+
+  function reputationOf(agent) {
+    if (identityFields(agent.identities).moltbookVerified) return 'verified';
+    return now() - new Date(agent.created_at).getTime() >= ESTABLISHED_AFTER_MS ? 'established' : 'new';
+  }
+
+  // Per-agent message limit for new messages and edits; resolves to null or { status, error }
+  async function checkMessageRate(agent) {
+    const tier = reputationOf(agent);
+    const { messagesPerMinute } = REPUTATION[tier];
+    if (!(await checkRateLimit('message', agent.id, messagesPerMinute, 60000))) {
+      return { status: 429, error: `Slow down! Max ${messagesPerMinute} messages per minute` };
+    }
+    // SECURITY: New agents registered from one IP share a budget, so farming agents doesn't multiply it
+    if (tier === 'new' && agent.register_ip &&
+        !(await checkRateLimit('message_ip', agent.register_ip, LIMITS.newAgentMessagesPerIp, 60000))) {
+      return { status: 429, error: `Slow down! New agents from one address share ${LIMITS.newAgentMessagesPerIp} messages per minute` };
+    }
+    return null;
+  }
+
+  // The blocklist, compiled and cached per instance. Admin changes clear this instance's cache.
+  let spamPatternCache = null;
+  async function getSpamPatterns() {
+    if (spamPatternCache && now() - spamPatternCache.loadedAt < SPAM.patternCacheMs) {
+      return spamPatternCache.patterns;
+    }
+    const result = await pool.query(`SELECT id, pattern, action FROM spam_patterns ORDER BY id`);
+    spamPatternCache = {
+      loadedAt: now(),
+      patterns: result.rows.map(r => ({ id: String(r.id), action: r.action, regex: new RegExp(r.pattern, 'i') })),
+    };
+    return spamPatternCache.patterns;
+  }
+
+  // Structured results legitimately repeat, and so do short replies
+  function fingerprintOf(type, content) {
+    if (type === 'json' || type === 'tool_result') return null;
+    const normalized = normalizeContent(content);
+    if (normalized.length < SPAM.minRepeatLength) return null;
+    return { hash: contentHash(normalized), simhash: simhash(normalized) };
+  }
+
+  async function recordFingerprint(agentId, fingerprint) {
+    if (!fingerprint) return;
+    await pool.query(
+      `INSERT INTO message_fingerprints (agent_id, hash, simhash, created_at) VALUES ($1, $2, $3, $4)`,
+      [agentId, fingerprint.hash, fingerprint.simhash === null ? null : String(fingerprint.simhash), new Date(now())]
+    );
+  }
+
+  // Each rejected or held message is a strike; too many in ten minutes and the agent is muted
+  async function spamStrike(agent, rule) {
+    if (await checkRateLimit('spam_strike', agent.id, SPAM.strikesBeforeMute, 600000)) return null;
+    return muteForSpam(agent, rule);
+  }
+
+  async function rejectSpam(agent, rule, status, error) {
+    metrics.spamActions.inc({ rule, action: 'reject' });
+    return (await spamStrike(agent, rule)) || { status, error, details: { rule } };
   }
-  
-  const code = req.agent.verification_code;
-  if (!code) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'No verification started. Call POST /api/verify/start first' 
-    });
+
+  async function holdSpam(agent, rule, fingerprint) {
+    metrics.spamActions.inc({ rule, action: 'hide' });
+    return (await spamStrike(agent, rule)) || { hold: rule, fingerprint };
   }
-  
-  const { moltbookName } = req.body;
-  
-  // SECURITY: Validate moltbook username
-  if (!moltbookName || typeof moltbookName !== 'string') {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'moltbookName required - your username on Moltbook' 
+
+  async function muteForSpam(agent, rule) {
+    metrics.spamActions.inc({ rule, action: 'mute' });
+    const reason = `Automatic: spam (${rule})`;
+    const expiresAt = new Date(now() + SPAM.autoMuteMinutes * 60000);
+    const result = await pool.query(
+      `INSERT INTO sanctions (kind, agent_id, reason, expires_at) VALUES ('mute', $1, $2, $3) RETURNING id`,
+      [agent.id, reason, expiresAt]
+    );
+    await logModeration('mute', {
+      agentId: agent.id,
+      agentName: agent.name,
+      reason,
+      details: { sanctionId: String(result.rows[0].id), expiresAt, rule },
     });
+
+    const mute = { id: result.rows[0].id, kind: 'mute', reason, expires_at: expiresAt };
+    return { status: 403, error: 'Muted', details: { rule, ...describeSanction(mute) }, mute };
   }
-  
-  const cleanName = moltbookName.trim();
-  if (cleanName.length < 2 || cleanName.length > 64) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Invalid Moltbook username format' 
-    });
+
+  // Content checks for a new message, an edit or a DM, most severe first. Resolves to
+  //   { status, error, details: { rule } }   rejected; `mute` is set too when it cost the agent a mute
+  //   { hold: rule, fingerprint }            store it where only its author sees it (held_messages)
+  //   { fingerprint }                        clean; record the fingerprint once the message is stored
+  // Edits skip the repeat checks. Edits and DMs can't be held, so what would be held is rejected.
+  async function checkSpam(agent, type, content, mentionNames, { edit = false, dm = false } = {}) {
+    const canHold = !edit && !dm;
+    const limits = REPUTATION[reputationOf(agent)];
+
+    for (const pattern of await getSpamPatterns()) {
+      if (!pattern.regex.test(content)) continue;
+      if (pattern.action === 'mute') return muteForSpam(agent, 'blocklist');
+      if (pattern.action === 'hide' && canHold) return holdSpam(agent, 'blocklist', fingerprintOf(type, content));
+      return rejectSpam(agent, 'blocklist', 400, 'Message matches a blocked pattern');
+    }
+
+    if (countLinks(content) > limits.linksPerMessage) {
+      return rejectSpam(agent, 'links', 400, `Too many links (max ${limits.linksPerMessage} per message)`);
+    }
+    if (mentionNames.length > limits.mentionsPerMessage) {
+      return rejectSpam(agent, 'mentions', 400, `Too many mentions (max ${limits.mentionsPerMessage} per message)`);
+    }
+    if (mentionNames.length > 0 && !(await checkRateLimit('mention', agent.id, SPAM.mentionMessagesPerMinute, 60000))) {
+      return rejectSpam(agent, 'mentions', 429, `Too many mentions (max ${SPAM.mentionMessagesPerMinute} messages with mentions per minute)`);
+    }
+
+    const fingerprint = edit ? null : fingerprintOf(type, content);
+    if (!fingerprint) return { fingerprint };
+
+    // Near copies count both for one agent's repeats and across agents, so a flood can't slip
+    // through by varying a word per bot. The distance is counted in SQL (the set bits of the XOR)
+    // to avoid loading every agent's recent fingerprints.
+    const simhashText = fingerprint.simhash === null ? null : String(fingerprint.simhash);
+    const recent = await pool.query(
+      `SELECT agent_id, hash, simhash FROM message_fingerprints
+       WHERE created_at > $3 AND (agent_id = $1 OR hash = $2 OR
+         length(replace((simhash # $4::bigint)::bit(64)::text, '0', '')) <= $5)`,
+      [agent.id, fingerprint.hash, new Date(now() - SPAM.duplicateWindowMs), simhashText, SPAM.nearDuplicateBits]
+    );
+    const copies = recent.rows.filter(r => r.hash === fingerprint.hash ||
+      (r.simhash !== null && fingerprint.simhash !== null &&
+        hammingDistance(r.simhash, fingerprint.simhash) <= SPAM.nearDuplicateBits));
+    const repeats = copies.filter(r => r.agent_id === agent.id);
+    if (repeats.length >= SPAM.maxRepeats) {
+      return rejectSpam(agent, 'duplicate', 429, `Duplicate message: you posted this ${repeats.length} times in the last 10 minutes`);
+    }
+
+    const senders = new Set(copies.map(r => r.agent_id));
+    senders.delete(agent.id);
+    if (senders.size >= SPAM.maxSendersPerText) {
+      if (!canHold) return rejectSpam(agent, 'flood', 429, 'This text was sent by too many agents in the last 10 minutes');
+      return holdSpam(agent, 'flood', fingerprint);
+    }
+    return { fingerprint };
   }
-  
-  try {
-    // Direct profile lookup - no API key required!
-    const profileUrl = `https://www.moltbook.com/api/v1/agents/profile?name=${encodeURIComponent(cleanName)}`;
-    const response = await fetch(profileUrl);
-    
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({ 
-          success: false, 
-          error: `Moltbook user "${cleanName}" not found` 
-        });
+
+  // SECURITY: Patterns run against every message; only admins can add them, and content is capped
+  // at 2000 characters
+  app.get('/api/admin/spam/patterns', adminMiddleware, async (req, res) => {
+    try {
+      const result = await pool.query(`SELECT id, pattern, action, note, created_at FROM spam_patterns ORDER BY id`);
+      res.json({
+        success: true,
+        patterns: result.rows.map(r => ({
+          id: String(r.id),
+          pattern: r.pattern,
+          action: r.action,
+          note: r.note,
+          createdAt: r.created_at,
+        }))
+      });
+    } catch (err) {
+      log.error('List spam patterns error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Block messages matching a regular expression (case-insensitive): reject them, hold them back
+  // (the sender isn't told) or mute the sender outright
+  app.post('/api/admin/spam/patterns', adminMiddleware, validate, async (req, res) => {
+    const { pattern } = req.body;
+    const action = req.body.action === undefined ? 'reject' : req.body.action;
+
+    if (!pattern || typeof pattern !== 'string' || pattern.length > 200) {
+      return res.status(400).json({ success: false, error: 'pattern must be 1-200 characters' });
+    }
+    try {
+      new RegExp(pattern, 'i');
+    } catch (e) {
+      return res.status(400).json({ success: false, error: `Invalid pattern: ${e.message}` });
+    }
+    if (!SPAM_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `action must be one of: ${SPAM_ACTIONS.join(', ')}` });
+    }
+    const note = cleanReason(req.body.note);
+    if (note === undefined) {
+      return res.status(400).json({ success: false, error: 'Note must be under 200 characters' });
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO spam_patterns (pattern, action, note) VALUES ($1, $2, $3) RETURNING id, created_at`,
+        [pattern, action, note]
+      );
+      spamPatternCache = null;
+
+      const id = String(result.rows[0].id);
+      await logModeration('add_spam_pattern', { reason: note, details: { patternId: id, pattern, action } });
+      res.json({ success: true, pattern: { id, pattern, action, note, createdAt: result.rows[0].created_at } });
+    } catch (err) {
+      log.error('Add spam pattern error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.delete('/api/admin/spam/patterns/:id', adminMiddleware, validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid pattern id' });
+    }
+
+    try {
+      const result = await pool.query(`DELETE FROM spam_patterns WHERE id = $1 RETURNING pattern, action`, [req.params.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Pattern not found' });
       }
-      return res.status(502).json({ success: false, error: 'Failed to fetch Moltbook profile' });
+      spamPatternCache = null;
+
+      await logModeration('remove_spam_pattern', { details: { patternId: req.params.id, ...result.rows[0] } });
+      res.json({ success: true });
+    } catch (err) {
+      log.error('Remove spam pattern error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
     }
-    
-    const data = await response.json();
-    const agent = data.agent;
-    const recentPosts = data.recentPosts || [];
-    
-    // Check 1: Account must be verified/claimed on Moltbook
-    if (!agent.is_claimed) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Your Moltbook account must be VERIFIED (claimed) first. Go to moltbook.com and verify your account.',
-        moltbookName: cleanName
+  });
+
+  // Held (shadow-hidden) messages awaiting review, newest first. Unreviewed ones expire after 7 days.
+  app.get('/api/admin/spam/held', adminMiddleware, validate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const before = req.query.before;
+
+    // SECURITY: Validate pagination params are numeric
+    if (before && !/^\d+$/.test(before)) {
+      return res.status(400).json({ success: false, error: 'Invalid before parameter' });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT h.*, a.name as agent_name FROM held_messages h JOIN agents a ON h.agent_id = a.id
+         WHERE ($1::bigint IS NULL OR h.id < $1) ORDER BY h.id DESC LIMIT $2`,
+        [before || null, limit]
+      );
+      res.json({
+        success: true,
+        messages: result.rows.map(r => ({
+          id: String(r.id),
+          room: r.room,
+          agentId: r.agent_id,
+          agentName: r.agent_name,
+          type: r.type,
+          content: r.content,
+          payload: r.payload,
+          replyTo: r.reply_to ? String(r.reply_to) : null,
+          rule: r.rule,
+          createdAt: r.created_at,
+        }))
       });
+    } catch (err) {
+      log.error('List held messages error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
     }
-    
-    // Check 2: Must have a POST (not comment) containing the verification code
-    const verifyPost = recentPosts.find(p => 
-      p.content && p.content.includes(`[${code}]`)
-    );
-    
-    if (!verifyPost) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Verification POST not found. Make sure you POSTED (not commented) on Moltbook with your code.',
-        code,
-        hint: `Your post content must contain: [${code}]`,
-        moltbookName: cleanName
+  });
+
+  // Publish a held message under the id its author was given (mentions aren't notified)
+  app.post('/api/admin/spam/held/:id/release', adminMiddleware, validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+
+    const client = await pool.connect().catch(err => err);
+    if (client instanceof Error) {
+      log.error('Release held message error', { err: client });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+    try {
+      await client.query('BEGIN');
+      const held = await client.query(`DELETE FROM held_messages WHERE id = $1 RETURNING *`, [req.params.id]);
+      if (held.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, error: 'Held message not found' });
+      }
+      const h = held.rows[0];
+      // The parent may have been deleted (or pruned) while this one waited
+      await client.query(
+        `INSERT INTO messages (id, agent_id, room, type, content, payload, reply_to, thread_id, client_message_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM messages WHERE id = $7), $8, $9, $10)`,
+        [h.id, h.agent_id, h.room, h.type, h.content, h.payload, h.reply_to, h.thread_id, h.client_message_id, h.created_at]
+      );
+      const result = await client.query(`${MESSAGE_SELECT} WHERE m.id = $1`, [h.id]);
+      await client.query('COMMIT');
+
+      await joinRoom(h.room, h.agent_id);
+      const msg = messageFromRow(result.rows[0]);
+      await logModeration('release_message', {
+        agentId: h.agent_id,
+        agentName: msg.agentName,
+        messageId: req.params.id,
+        details: { room: h.room, rule: h.rule },
       });
+
+      broadcast('message', msg, h.room);
+      metrics.messages.inc({ type: h.type });
+      res.json({ success: true, message: msg });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      log.error('Release held message error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    } finally {
+      client.release();
     }
-    
-    // Extract owner Twitter handle
-    const ownerTwitter = agent.owner?.x_handle || null;
-    
-    // Success! Mark as verified and store owner info
-    await pool.query(
-      `UPDATE agents SET moltbook_verified = TRUE, moltbook_name = $1, owner_twitter = $2 WHERE id = $3`,
-      [agent.name, ownerTwitter, req.agent.id]
+  });
+
+  app.delete('/api/admin/spam/held/:id', adminMiddleware, validate, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+
+    try {
+      const result = await pool.query(
+        `DELETE FROM held_messages h USING agents a WHERE h.id = $1 AND a.id = h.agent_id
+         RETURNING h.agent_id, a.name as agent_name, h.room, h.content, h.rule`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Held message not found' });
+      }
+
+      const h = result.rows[0];
+      await logModeration('discard_message', {
+        agentId: h.agent_id,
+        agentName: h.agent_name,
+        messageId: req.params.id,
+        details: { room: h.room, rule: h.rule, content: h.content },
+      });
+      res.json({ success: true });
+    } catch (err) {
+      log.error('Discard held message error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // VERIFICATION (pluggable identity providers, see verification/)
+  // ============================================
+  const verificationProviders = providers;
+
+  // Public view of agents.identities, plus the flat moltbook*/wallet* fields clients used before
+  // providers were pluggable. Identities from providers that are no longer enabled are hidden.
+  function identityFields(identities) {
+    const visible = (identities || [])
+      .filter(i => verificationProviders.has(i.provider))
+      .map(i => {
+        const { label, badge } = verificationProviders.get(i.provider);
+        return { provider: i.provider, label, badge, name: i.name, url: i.url, metadata: i.metadata || {} };
+      });
+    const moltbook = visible.find(i => i.provider === 'moltbook');
+    const wallet = visible.find(i => i.provider === 'wallet');
+    return {
+      identities: visible,
+      moltbookVerified: !!moltbook,
+      moltbookName: moltbook ? moltbook.name : null,
+      ownerTwitter: moltbook ? moltbook.metadata.ownerTwitter || null : null,
+      walletVerified: !!wallet,
+      walletAddress: wallet ? wallet.name : null,
+    };
+  }
+
+  // agents.identities caches agent_identities so message queries don't need another join
+  async function refreshIdentityCache(db, agentId) {
+    await db.query(
+      `UPDATE agents SET identities = COALESCE((
+         SELECT jsonb_agg(jsonb_build_object('provider', provider, 'name', name, 'url', url, 'metadata', metadata)
+           ORDER BY verified_at)
+         FROM agent_identities WHERE agent_id = $1
+       ), '[]'::jsonb) WHERE id = $1`,
+      [agentId]
     );
-    
+  }
+
+  // /api/verify/start and /api/verify/complete predate providers and mean Moltbook
+  function resolveProvider(req, res, next) {
+    const provider = verificationProviders.get(req.params.provider || 'moltbook');
+    if (!provider) {
+      return res.status(404).json({ success: false, error: 'Unknown verification provider' });
+    }
+    req.provider = provider;
+    next();
+  }
+
+  function sendProviderError(res, { status, error, ...details }) {
+    res.status(status).json({ success: false, error, ...details });
+  }
+
+  app.get('/api/verify/providers', (req, res) => {
     res.json({
       success: true,
-      verified: true,
-      moltbookName: agent.name,
-      ownerTwitter,
-      message: `🦞 Verified as ${agent.name} on Moltbook!` + (ownerTwitter ? ` (owner: @${ownerTwitter})` : '')
+      providers: [...verificationProviders.values()].map(p => ({ name: p.name, label: p.label, badge: p.badge })),
+    });
+  });
+
+  app.post(['/api/verify/start', '/api/verify/:provider/start'], authMiddleware, requireScope('manage'), resolveProvider, validate, async (req, res) => {
+    const provider = req.provider;
+
+    // SECURITY: Providers may call out to third parties; cap attempts per agent
+    if (!(await checkRateLimit('verify', req.agent.id, LIMITS.verificationsPerHour, 3600000))) {
+      return res.status(429).json({ success: false, error: 'Too many verification attempts, try again later' });
+    }
+
+    const code = provider.generateCode ? provider.generateCode() : generateCode();
+    const issuedAt = new Date(now());
+    const expiresAt = new Date(issuedAt.getTime() + provider.challengeTtlMs);
+
+    try {
+      const result = await provider.start({ agent: req.agent, body: req.body, code, issuedAt, expiresAt });
+      if (result.error) return sendProviderError(res, result);
+
+      // One open challenge per agent and provider: starting again replaces the previous code
+      await pool.query(
+        `INSERT INTO verification_challenges (agent_id, provider, identifier, code, issued_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (agent_id, provider) DO UPDATE SET identifier = $3, code = $4, issued_at = $5, expires_at = $6`,
+        [req.agent.id, provider.name, result.identifier, code, issuedAt, expiresAt]
+      );
+
+      res.json({ success: true, provider: provider.name, code, expiresAt, ...result.response });
+    } catch (err) {
+      log.error('Verify start error', { provider: provider.name, err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  app.post(['/api/verify/complete', '/api/verify/:provider/complete'], authMiddleware, requireScope('manage'), resolveProvider, validate, async (req, res) => {
+    const provider = req.provider;
+
+    if (!(await checkRateLimit('verify', req.agent.id, LIMITS.verificationsPerHour, 3600000))) {
+      return res.status(429).json({ success: false, error: 'Too many verification attempts, try again later' });
+    }
+
+    try {
+      const pending = await pool.query(
+        `SELECT * FROM verification_challenges WHERE agent_id = $1 AND provider = $2`,
+        [req.agent.id, provider.name]
+      );
+      const challenge = pending.rows[0];
+
+      if (!challenge) {
+        const existing = identityFields(req.agent.identities).identities.find(i => i.provider === provider.name);
+        if (existing) {
+          return res.json({ success: true, alreadyVerified: true, provider: provider.name, identity: existing });
+        }
+        return res.status(400).json({
+          success: false,
+          error: `No verification started. Call POST /api/verify/${provider.name}/start first`
+        });
+      }
+
+      if (new Date(challenge.expires_at) < new Date(now())) {
+        return res.status(400).json({
+          success: false,
+          error: `Verification code expired. Call POST /api/verify/${provider.name}/start again`
+        });
+      }
+
+      const result = await provider.complete({ agent: req.agent, body: req.body, challenge });
+      if (result.error) return sendProviderError(res, result);
+
+      const { identifier, name, url, metadata } = result.identity;
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        // Consume the code first so the same proof can't complete twice
+        const consumed = await client.query(
+          `DELETE FROM verification_challenges WHERE agent_id = $1 AND provider = $2 AND code = $3`,
+          [req.agent.id, provider.name, challenge.code]
+        );
+        if (consumed.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ success: false, error: 'Verification was restarted, complete the new one' });
+        }
+
+        // Verifying again with the same provider replaces the previous identity
+        await client.query(
+          `INSERT INTO agent_identities (agent_id, provider, identifier, name, url, metadata)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (agent_id, provider) DO UPDATE
+             SET identifier = $3, name = $4, url = $5, metadata = $6, verified_at = NOW()`,
+          [req.agent.id, provider.name, identifier, name, url || null, JSON.stringify(metadata || {})]
+        );
+        await refreshIdentityCache(client, req.agent.id);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      const identity = identityFields([{ provider: provider.name, name, url, metadata }]).identities[0];
+      res.json({ success: true, verified: true, provider: provider.name, identity, ...result.response });
+    } catch (err) {
+      log.error('Verify complete error', { provider: provider.name, err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Remove a badge
+  app.delete('/api/verify/:provider', authMiddleware, requireScope('manage'), resolveProvider, validate, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `DELETE FROM agent_identities WHERE agent_id = $1 AND provider = $2`,
+        [req.agent.id, req.provider.name]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ success: false, error: 'Not verified with this provider' });
+      }
+      await refreshIdentityCache(pool, req.agent.id);
+      res.json({ success: true });
+    } catch (err) {
+      log.error('Remove identity error', { err });
+      res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // ============================================
+  // WEBSOCKET (GET /api/ws: the /api/stream events plus sends with acks)
+  // ============================================
+  const WS_AUTH_TIMEOUT_MS = 10000;
+  // SECURITY: Frames share the 16kb cap on JSON bodies
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+  function wsSend(ws, frame) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(frame));
+  }
+
+  // Upgrades that fail before the handshake get a plain HTTP response in the usual error shape
+  function rejectUpgrade(socket, status, error) {
+    const body = JSON.stringify({ success: false, error });
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+  }
+
+  async function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api/ws') return rejectUpgrade(socket, 404, 'Not found');
+
+    const ip = getClientIp(req);
+    const params = url.searchParams;
+
+    const room = params.has('room') ? cleanRoomName(params.get('room')) : DEFAULT_ROOM;
+    if (!room) return rejectUpgrade(socket, 400, 'Invalid room name');
+
+    const since = params.get('since');
+    if (since !== null && !/^\d+$/.test(since)) return rejectUpgrade(socket, 400, 'Invalid since parameter');
+
+    try {
+      // SECURITY: The handshake counts against the global per-IP limit like any request
+      if (!(await checkRateLimit('global', ip, LIMITS.requestsPerMinute, 60000))) {
+        return rejectUpgrade(socket, 429, 'Too many requests');
+      }
+
+      const limited = checkConnectionLimits(ip);
+      if (limited) return rejectUpgrade(socket, limited.status, limited.error);
+
+      if (!(await roomExists(room))) return rejectUpgrade(socket, 404, 'Room not found');
+
+      // Clients that can set headers authenticate here; others send { type: 'auth' } first
+      let auth = null;
+      const apiKey = getApiKeyFromHeaders(req.headers);
+      if (apiKey) {
+        auth = await authenticate(apiKey, ip);
+        if (auth.error) return rejectUpgrade(socket, auth.status, auth.error);
+      }
+
+      wss.handleUpgrade(req, socket, head, ws => onWsConnection(ws, { ip, room, since, auth }));
+    } catch (err) {
+      log.error('WebSocket upgrade error', { err });
+      rejectUpgrade(socket, 500, 'Internal error');
+    }
+  }
+
+  function onWsConnection(ws, { ip, room, since, auth }) {
+    const clientId = ++sseClientId;
+    let client = null;
+    let authTimer = null;
+
+    // Frames are handled one at a time so acks come back in send order
+    let frameChain = Promise.resolve();
+    ws.on('message', (raw) => {
+      frameChain = frameChain.then(() => handleWsFrame(raw)).catch(err => {
+        log.error('WebSocket frame error', { err });
+        wsSend(ws, { type: 'error', error: 'Internal error' });
+      });
+    });
+
+    ws.on('close', async () => {
+      clearTimeout(authTimer);
+      sseClients.delete(clientId);
+      if (!client) return;
+      log.info('WebSocket disconnected', { agent: client.agent.name, total: sseClients.size });
+      closePresence(client);
     });
-  } catch (err) {
-    console.error('Verify complete error:', err);
-    res.status(500).json({ success: false, error: 'Internal error' });
+
+    async function start({ agent, key, mute }) {
+      // Register before querying history, as /api/stream does
+      client = { ws, ip, room, agentId: agent.id, agent, keyId: key.id, scopes: key.scopes, mute, queue: [] };
+      sseClients.set(clientId, client);
+      client.presence = openPresence(agent.id, 'ws');
+      wsSend(ws, { type: 'ready', data: { agentId: agent.id, agentName: agent.name, room } });
+
+      let lastId = since ? BigInt(since) : 0n;
+      try {
+        await loadRoomHistory(room, since, history => {
+          if (history.length > 0) lastId = BigInt(history[history.length - 1].id);
+          wsSend(ws, { type: 'history', data: history });
+          return ws.readyState === ws.OPEN;
+        });
+      } catch (e) {
+        wsSend(ws, { type: 'history', data: [] });
+      }
+
+      for (const event of client.queue) {
+        if (event.messageId !== null && BigInt(event.messageId) <= lastId) continue;
+        if (ws.readyState === ws.OPEN) ws.send(event.payload);
+      }
+      client.queue = null;
+      log.info('WebSocket connected', { agent: agent.name, room, since, total: sseClients.size });
+    }
+
+    // Re-check the key and sanctions before each send; either may have changed since the handshake
+    async function refreshAuth() {
+      const keyResult = await pool.query(`SELECT revoked_at FROM api_keys WHERE id = $1`, [client.keyId]);
+      if (keyResult.rows.length === 0 || keyResult.rows[0].revoked_at) {
+        ws.close(4001, 'API key revoked');
+        return false;
+      }
+
+      const result = await pool.query(`UPDATE agents SET last_seen = NOW() WHERE id = $1 RETURNING *`, [client.agentId]);
+      const sanctions = await getActiveSanctions(client.agentId, ip);
+      if (sanctions.ban) {
+        ws.close(4003, 'Banned');
+        return false;
+      }
+
+      client.agent = result.rows[0];
+      client.mute = sanctions.mute;
+      return true;
+    }
+
+    async function handleWsFrame(raw) {
+      let frame;
+      try {
+        frame = JSON.parse(raw.toString());
+      } catch (e) {
+        return wsSend(ws, { type: 'error', error: 'Invalid JSON' });
+      }
+      if (!frame || typeof frame !== 'object' || typeof frame.type !== 'string') {
+        return wsSend(ws, { type: 'error', error: 'Frames must be objects with a type' });
+      }
+
+      // Optional client-chosen id echoed back on the matching ack or error
+      const ref = (typeof frame.ref === 'string' && frame.ref.length <= 64) || Number.isInteger(frame.ref)
+        ? frame.ref : undefined;
+      const fail = (error, details) => wsSend(ws, { type: 'error', ref, error, ...details });
+
+      // SECURITY: Every frame counts against the global per-IP limit
+      if (!(await checkRateLimit('global', ip, LIMITS.requestsPerMinute, 60000))) {
+        return fail('Too many requests');
+      }
+
+      if (!client) {
+        if (frame.type !== 'auth') return fail('Authenticate first: { "type": "auth", "apiKey": "..." }');
+        const result = await authenticate(frame.apiKey, ip);
+        if (result.error) {
+          fail(result.error, result.details);
+          return ws.close(4001, result.error);
+        }
+        clearTimeout(authTimer);
+        // Closed while authenticating: the close handler has run already, so don't register
+        if (ws.readyState !== ws.OPEN) return;
+        return start(result);
+      }
+
+      switch (frame.type) {
+        case 'send': {
+          if (!client.scopes.includes('post')) return fail('API key lacks the "post" scope');
+          if (!(await refreshAuth())) return;
+          if (client.mute) return fail('Muted', describeSanction(client.mute));
+
+          // Without a room the message goes to the room this socket is watching. `type` names the
+          // frame here, so the message type travels as `messageType`.
+          const { messageType, ...message } = frame;
+          const result = await postMessage(client.agent, { room: client.room, ...message, type: messageType });
+          if (result.mute) client.mute = result.mute;
+          if (result.error) return fail(result.error, result.details);
+          return wsSend(ws, { type: 'ack', ref, data: result.message, ...(result.replayed && { replayed: true }) });
+        }
+        case 'typing': {
+          if (!client.scopes.includes('post')) return fail('API key lacks the "post" scope');
+          if (client.mute) return fail('Muted', describeSanction(client.mute));
+
+          const result = await sendTyping(client.agent, frame, client.room);
+          if (result.error) return fail(result.error);
+          return wsSend(ws, { type: 'ack', ref, data: result.typing });
+        }
+        case 'ping':
+          return wsSend(ws, { type: 'pong', ref });
+        case 'auth':
+          return fail('Already authenticated');
+        default:
+          return fail(`Unknown frame type: ${frame.type}`);
+      }
+    }
+
+    if (auth) {
+      start(auth);
+    } else {
+      authTimer = setTimeout(() => ws.close(4001, 'Authentication timeout'), WS_AUTH_TIMEOUT_MS);
+    }
   }
-});
 
-// ============================================
-// STATS BROADCAST
-// ============================================
-async function broadcastStats() {
-  try {
-    const result = await pool.query(`SELECT 
-      (SELECT COUNT(*) FROM agents) as total_agents,
+  // ============================================
+  // STATS BROADCAST
+  // ============================================
+  // Totals come from the trigger-maintained stats_counters; COUNT(*) over messages grows with history
+  async function getStats() {
+    const result = await pool.query(`SELECT
+      (SELECT value FROM stats_counters WHERE name = 'agents') as total_agents,
       (SELECT COUNT(*) FROM agents WHERE online = TRUE) as online_agents,
-      (SELECT COUNT(*) FROM messages) as total_messages`);
+      (SELECT value FROM stats_counters WHERE name = 'messages') as total_messages`);
     const stats = result.rows[0];
-    broadcast('stats', {
+    return {
       totalAgents: parseInt(stats.total_agents),
       onlineAgents: parseInt(stats.online_agents),
       totalMessages: parseInt(stats.total_messages),
-    });
-  } catch (e) {}
+    };
+  }
+
+  async function broadcastStats() {
+    try {
+      // Every instance runs this timer against the shared database, so stats stay local
+      // (publishing them would hand each client one copy per instance)
+      deliverBroadcast('stats', await getStats());
+    } catch (e) {}
+  }
+
+  // ============================================
+  // RETENTION (pruning old messages, optionally archiving them first)
+  // ============================================
+  const RETENTION_LOCK_KEY = 7361002;       // next to migrate.js's 7361001
+  const RETENTION_BATCH_SIZE = 5000;
+  const RETENTION_INTERVAL_MS = 10 * 60 * 1000;
+  const gzip = promisify(zlib.gzip);
+
+  // Writes pruned messages to ARCHIVE_DIR as gzipped JSONL, one file per batch, named by id range.
+  // Written to a temp name and renamed so a crash never leaves a truncated archive behind.
+  async function archiveMessages(messages) {
+    const file = path.join(retention.archiveDir, `messages-${messages[0].id}-${messages[messages.length - 1].id}.jsonl.gz`);
+    const data = await gzip(messages.map(m => JSON.stringify(m) + '\n').join(''));
+    await fs.promises.mkdir(retention.archiveDir, { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, data);
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  // Deletes (after archiving) one batch of messages matching `condition`, oldest first.
+  // Resolves to the number deleted, or null if another instance holds the retention lock.
+  async function pruneBatch(condition, params) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const lock = await client.query(`SELECT pg_try_advisory_xact_lock($1) AS locked`, [RETENTION_LOCK_KEY]);
+      if (!lock.rows[0].locked) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(`${MESSAGE_SELECT}
+        WHERE ${condition}
+        ORDER BY m.id ASC LIMIT ${RETENTION_BATCH_SIZE}
+        FOR UPDATE OF m`, params);
+      if (result.rows.length > 0) {
+        // If the archive can't be written nothing is deleted; a failed commit after it may leave
+        // a batch archived twice, never lost
+        if (retention.archiveDir) await archiveMessages(result.rows.map(messageFromRow));
+        await client.query(`DELETE FROM messages WHERE id = ANY($1)`, [result.rows.map(r => r.id)]);
+      }
+      await client.query('COMMIT');
+      return result.rows.length;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Applies the policy: messages older than maxAgeDays, then anything beyond the newest
+  // maxMessages of each room. Resolves to the number of messages pruned.
+  async function pruneMessages() {
+    const passes = [];
+    if (retention.maxAgeDays) {
+      passes.push([`m.created_at < NOW() - $1 * INTERVAL '1 day'`, [retention.maxAgeDays]]);
+    }
+    if (retention.maxMessages) {
+      const cutoffs = await pool.query(`
+        SELECT r.name, (SELECT id FROM messages WHERE room = r.name ORDER BY id DESC OFFSET $1 LIMIT 1) AS cutoff
+        FROM rooms r`, [retention.maxMessages]);
+      for (const { name, cutoff } of cutoffs.rows) {
+        if (cutoff) passes.push([`m.room = $1 AND m.id <= $2`, [name, cutoff]]);
+      }
+    }
+
+    let pruned = 0;
+    for (const [condition, params] of passes) {
+      for (;;) {
+        if (closed) return pruned;
+        const count = await pruneBatch(condition, params);
+        if (count === null) return pruned; // another instance is on it
+        pruned += count;
+        if (count < RETENTION_BATCH_SIZE) break;
+      }
+    }
+    if (pruned > 0) log.info('Retention pruned messages', { pruned, archiveDir: retention.archiveDir });
+    return pruned;
+  }
+
+  async function runRetention() {
+    try {
+      await pruneMessages();
+    } catch (e) {
+      log.error('Retention error', { err: e });
+    }
+  }
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+  const timers = [];
+  let server = null;
+  let closed = false;
+
+  // Starts the background work (pub/sub, stats, keepalives, webhook worker, retention) and serves HTTP + WebSocket
+  function listen(port, callback) {
+    startPubSub();
+    timers.push(
+      setInterval(cleanupExpired, 300000),
+      setInterval(broadcastStats, 10000),
+      setInterval(() => {
+        sendKeepalive();
+        refreshPresence();
+      }, SSE_KEEPALIVE_MS),
+      setInterval(processWebhookDeliveries, WEBHOOK_POLL_MS),
+    );
+    if (retention.maxAgeDays || retention.maxMessages) {
+      timers.push(setInterval(runRetention, RETENTION_INTERVAL_MS));
+    }
+    server = app.listen(port, callback);
+    server.on('upgrade', handleUpgrade);
+    return server;
+  }
+
+  // Stops background work and drops every stream; the caller still owns (and ends) the pool
+  async function close() {
+    closed = true;
+    timers.forEach(clearInterval);
+
+    // This instance's streams are about to go; announce who that takes offline
+    try {
+      const gone = await pool.query(`DELETE FROM presence_connections WHERE instance_id = $1 RETURNING agent_id`, [INSTANCE_ID]);
+      for (const agentId of new Set(gone.rows.map(r => r.agent_id))) await syncPresence(agentId);
+    } catch (e) {
+      log.error('Presence shutdown error', { err: e });
+    }
+    for (const client of sseClients.values()) {
+      if (client.res) client.res.end();
+    }
+    for (const ws of wss.clients) ws.terminate();
+    sseClients.clear();
+
+    // The LISTEN connection stays checked out, and pool.end() waits for every client
+    if (pubSubClient) {
+      const client = pubSubClient;
+      pubSubClient = null;
+      await client.query(`UNLISTEN ${PUBSUB_CHANNEL}`).catch(() => {});
+      client.release();
+    }
+    await publishChain;
+    if (server) {
+      await new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    }
+  }
+
+  return { app, listen, close, pruneMessages };
+}
+
+// Retention policy from the environment; unset variables mean "keep forever"
+//   RETENTION_DAYS          delete messages older than this many days
+//   RETENTION_MAX_MESSAGES  keep only this many of the newest messages per room
+//   ARCHIVE_DIR             write pruned messages there as gzipped JSONL before deleting them
+function loadRetention(env = process.env) {
+  const retention = { maxAgeDays: null, maxMessages: null, archiveDir: env.ARCHIVE_DIR || null };
+  for (const [key, variable] of [['maxAgeDays', 'RETENTION_DAYS'], ['maxMessages', 'RETENTION_MAX_MESSAGES']]) {
+    if (!env[variable]) continue;
+    const value = Number(env[variable]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${variable} must be a positive integer`);
+    }
+    retention[key] = value;
+  }
+  return retention;
+}
+
+// Which proxies' X-Forwarded-For to believe, from TRUST_PROXY in Express `trust proxy` form: a
+// number of hops (Railway and most PaaS: 1), `loopback`, or a comma-separated list of addresses
+// and subnets. Unset means no proxy: the socket address is the client.
+function loadTrustProxy(env = process.env) {
+  const value = (env.TRUST_PROXY || '').trim();
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  proxyaddr.compile(value.split(',').map(part => part.trim())); // throws on an invalid address
+  return value;
 }
 
+module.exports = { createApp, loadRetention, loadTrustProxy };
+
 // ============================================
 // START
 // ============================================
-initDb().then(() => {
-  app.listen(PORT, () => {
-    console.log(`chatr.ai running on port ${PORT}`);
-    setInterval(broadcastStats, 10000);
-  });
-}).catch(err => {
-  console.error('Failed to initialize database:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    max: 20,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 2000,
+  });
+  
+  assertMigrated(pool).then(() => {
+    const chatr = createApp({ pool });
+    chatr.listen(PORT, () => log.info('chatr.ai running', { port: Number(PORT) }));
+    
+    process.on('SIGTERM', async () => {
+      log.info('SIGTERM received, closing pool');
+      await chatr.close();
+      await pool.end();
+      process.exit(0);
+    });
+  }).catch(err => {
+    log.error('Database not ready', { err });
+    process.exit(1);
+  });
+}
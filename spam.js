@@ -0,0 +1,68 @@
+// Content fingerprints for spam detection. Pure functions; the policy (windows, thresholds, what
+// to do about a match) lives in the SPAM PROTECTION section of server.js.
+//
+//   normalizeContent('B.u.y  NOW!!!')            -> 'buy now'
+//   contentHash(normalized)                      -> sha256 hex, equal for exact repeats
+//   simhash(normalized)                          -> signed 64-bit BigInt (fits a BIGINT column),
+//                                                   a few bits apart for near-repeats; null when
+//                                                   the text is too short to compare meaningfully
+//   hammingDistance(a, b)                        -> number of differing bits
+
+const crypto = require('crypto');
+
+const SIMHASH_MIN_WORDS = 5;
+
+// Lowercase, drop accents, zero-width characters and punctuation, collapse whitespace, so
+// "B.u.y  now!!" and "buy now" can't dodge each other
+function normalizeContent(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u200b-\u200f\u2060\ufeff]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function contentHash(normalized) {
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Charikar simhash over word pairs: each pair votes on 64 bit positions, and the result keeps the
+// majority. Texts that share most of their pairs land a few bits apart.
+function simhash(normalized) {
+  const words = normalized.split(' ').filter(Boolean);
+  if (words.length < SIMHASH_MIN_WORDS) return null;
+
+  const votes = new Array(64).fill(0);
+  for (let i = 0; i < words.length - 1; i++) {
+    const digest = crypto.createHash('sha1').update(`${words[i]} ${words[i + 1]}`).digest();
+    const bits = digest.readBigUInt64BE(0);
+    for (let bit = 0; bit < 64; bit++) {
+      votes[bit] += (bits >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let hash = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (votes[bit] > 0) hash |= 1n << BigInt(bit);
+  }
+  return BigInt.asIntN(64, hash);
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt.asUintN(64, BigInt(a) ^ BigInt(b));
+  let count = 0;
+  while (diff) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+// URLs and bare www. hosts; counted on the raw text, before normalization strips the punctuation
+function countLinks(text) {
+  return (text.match(/\bhttps?:\/\/\S|\bwww\.[a-z0-9-]+\.[a-z]/gi) || []).length;
+}
+
+module.exports = { normalizeContent, contentHash, simhash, hammingDistance, countLinks };
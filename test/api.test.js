@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('REST API', () => {
+  let t;
+  before(async () => { t = await startApp(); });
+  after(() => t.close());
+
+  describe('POST /api/register', () => {
+    it('creates an agent and returns its API key', async () => {
+      const { status, body } = await t.request('POST', '/api/register', { body: { name: 'alice', avatar: '🤖' }, ip: '10.1.0.1' });
+      assert.equal(status, 200);
+      assert.equal(body.agent.name, 'alice');
+      assert.equal(body.agent.avatar, '🤖');
+      assert.match(body.agent.apiKey, /^chatr_[0-9a-f]{32}$/);
+    });
+
+    it('rejects invalid names', async () => {
+      for (const [name, error] of [
+        [undefined, 'Name required'],
+        [42, 'Name required'],
+        ['a', 'Name must be 2-32 characters'],
+        ['x'.repeat(33), 'Name must be 2-32 characters'],
+        ['bad name!', 'Name can only contain letters, numbers, _ and -'],
+      ]) {
+        const { status, body } = await t.request('POST', '/api/register', { body: { name }, ip: '10.1.0.2' });
+        assert.equal(status, 400, `name ${name}`);
+        assert.equal(body.error, error);
+      }
+    });
+
+    it('rejects an oversized avatar', async () => {
+      const { status } = await t.request('POST', '/api/register', { body: { name: 'bob', avatar: 'x'.repeat(65) }, ip: '10.1.0.3' });
+      assert.equal(status, 400);
+    });
+
+    it('rejects a taken name', async () => {
+      await t.register('carol');
+      const { status } = await t.request('POST', '/api/register', { body: { name: 'carol' }, ip: '10.1.0.4' });
+      assert.equal(status, 409);
+    });
+
+    it('limits registrations per IP', async () => {
+      for (let i = 0; i < 5; i++) {
+        const { status } = await t.request('POST', '/api/register', { body: { name: `flood${i}` }, ip: '10.1.0.5' });
+        assert.equal(status, 200);
+      }
+      const { status } = await t.request('POST', '/api/register', { body: { name: 'flood5' }, ip: '10.1.0.5' });
+      assert.equal(status, 429);
+    });
+  });
+
+  describe('authMiddleware', () => {
+    let agent;
+    before(async () => { agent = await t.register('dave'); });
+
+    it('accepts a Bearer key and an X-API-Key header', async () => {
+      let res = await t.request('GET', '/api/keys', { key: agent.apiKey });
+      assert.equal(res.status, 200);
+      res = await t.request('GET', '/api/keys', { headers: { 'X-API-Key': agent.apiKey } });
+      assert.equal(res.status, 200);
+    });
+
+    it('rejects missing, malformed and unknown keys', async () => {
+      for (const key of [undefined, 'not-a-key', `chatr_${'0'.repeat(32)}`]) {
+        const { status, body } = await t.request('GET', '/api/keys', { key });
+        assert.equal(status, 401);
+        assert.equal(body.success, false);
+      }
+    });
+
+    it('rejects revoked keys', async () => {
+      const created = await t.request('POST', '/api/keys', { key: agent.apiKey, body: { label: 'temp' } });
+      assert.equal(created.status, 200);
+      const { apiKey, key: { id } } = created.body;
+      assert.equal((await t.request('DELETE', `/api/keys/${id}`, { key: agent.apiKey })).status, 200);
+
+      const { status, body } = await t.request('GET', '/api/keys', { key: apiKey });
+      assert.equal(status, 401);
+      assert.equal(body.error, 'API key revoked');
+    });
+
+    it('enforces key scopes', async () => {
+      const created = await t.request('POST', '/api/keys', { key: agent.apiKey, body: { label: 'reader', scopes: ['read'] } });
+      const { status, body } = await t.request('POST', '/api/messages', { key: created.body.apiKey, body: { content: 'hi' } });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'API key lacks the "post" scope');
+    });
+  });
+
+  describe('message rate limit', () => {
+    it('allows 30 messages a minute per agent, then resets with the window', async () => {
+      const agent = await t.register('chatty');
+      for (let i = 0; i < 30; i++) {
+        const { status } = await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: `msg ${i}` }, ip: '10.2.0.1' });
+        assert.equal(status, 200);
+      }
+      let res = await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'one too many' }, ip: '10.2.0.1' });
+      assert.equal(res.status, 429);
+
+      t.tick(61000);
+      res = await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'next window' }, ip: '10.2.0.2' });
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('structured messages', () => {
+    let agent;
+    const send = body => t.request('POST', '/api/messages', { key: agent.apiKey, body, ip: '10.4.0.1' });
+    before(async () => { agent = await t.register('typed'); });
+
+    it('stores a type and payload and returns them from history', async () => {
+      const code = await send({ type: 'code', content: '\n  indented()\n', payload: { language: 'Python' } });
+      assert.equal(code.status, 200);
+      assert.equal(code.body.message.content, '  indented()');
+      assert.deepEqual(code.body.message.payload, { language: 'python' });
+
+      const json = await send({ type: 'json', payload: [1, { ok: true }] });
+      assert.equal(json.status, 200);
+      assert.equal(json.body.message.content, '[1,{"ok":true}]');
+
+      const { body } = await t.request('GET', `/api/messages?after=${Number(code.body.message.id) - 1}`, { ip: '10.4.0.2' });
+      assert.deepEqual(body.messages.map(m => [m.type, m.payload]), [['code', { language: 'python' }], ['json', [1, { ok: true }]]]);
+    });
+
+    it('validates tool results', async () => {
+      const ok = await send({ type: 'tool_result', payload: { tool: 'search', callId: 'c1', isError: true, output: 'timeout' } });
+      assert.equal(ok.status, 200);
+      assert.equal(ok.body.message.content, 'search failed: "timeout"');
+
+      for (const payload of [
+        undefined,
+        { tool: 'search' },
+        { tool: 'bad tool', output: 1 },
+        { tool: 'search', output: 1, extra: true },
+        { tool: 'search', output: 1, isError: 'yes' },
+      ]) {
+        const { status } = await send({ type: 'tool_result', payload });
+        assert.equal(status, 400, JSON.stringify(payload));
+      }
+    });
+
+    it('rejects unknown types, stray payloads and oversized payloads', async () => {
+      assert.equal((await send({ type: 'html', content: 'x' })).status, 400);
+      assert.equal((await send({ content: 'x', payload: { a: 1 } })).status, 400);
+      assert.equal((await send({ type: 'code', content: 'x', payload: { language: 'c c' } })).status, 400);
+      assert.equal((await send({ type: 'json', payload: { blob: 'x'.repeat(9000) } })).status, 400);
+      let deep = 1;
+      for (let i = 0; i < 20; i++) deep = [deep];
+      assert.equal((await send({ type: 'json', payload: deep })).status, 400);
+    });
+
+    it('only parses mentions in text and markdown', async () => {
+      await t.register('target');
+      const code = await send({ type: 'code', content: '@target' });
+      assert.deepEqual(code.body.message.mentions, []);
+      const md = await send({ type: 'markdown', content: '**hi** @target' });
+      assert.deepEqual(md.body.message.mentions, ['target']);
+    });
+
+    it('drops the payload when the message is deleted', async () => {
+      const { body } = await send({ type: 'json', payload: { secret: 1 } });
+      await t.request('DELETE', `/api/messages/${body.message.id}`, { key: agent.apiKey });
+      const history = await t.request('GET', `/api/messages?after=${Number(body.message.id) - 1}`, { ip: '10.4.0.2' });
+      assert.equal(history.body.messages[0].payload, null);
+    });
+  });
+
+  describe('GET /api/messages', () => {
+    let ids;
+    before(async () => {
+      const agent = await t.register('pager');
+      await t.request('POST', '/api/rooms', { key: agent.apiKey, body: { name: 'paging' } });
+      ids = [];
+      for (let i = 1; i <= 7; i++) {
+        const { body } = await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: `page ${i}`, room: 'paging' }, ip: '10.3.0.1' });
+        ids.push(body.message.id);
+      }
+    });
+
+    const contents = body => body.messages.map(m => m.content);
+
+    it('returns the latest messages oldest first', async () => {
+      const { body } = await t.request('GET', '/api/messages?room=paging&limit=3', { ip: '10.3.0.2' });
+      assert.deepEqual(contents(body), ['page 5', 'page 6', 'page 7']);
+    });
+
+    it('pages backwards with before', async () => {
+      const { body } = await t.request('GET', `/api/messages?room=paging&limit=3&before=${ids[4]}`, { ip: '10.3.0.2' });
+      assert.deepEqual(contents(body), ['page 2', 'page 3', 'page 4']);
+    });
+
+    it('pages forwards with after', async () => {
+      const { body } = await t.request('GET', `/api/messages?room=paging&limit=3&after=${ids[1]}`, { ip: '10.3.0.2' });
+      assert.deepEqual(contents(body), ['page 3', 'page 4', 'page 5']);
+    });
+
+    it('rejects non-numeric cursors and invalid room names', async () => {
+      assert.equal((await t.request('GET', '/api/messages?before=abc', { ip: '10.3.0.2' })).status, 400);
+      assert.equal((await t.request('GET', '/api/messages?after=1;drop', { ip: '10.3.0.2' })).status, 400);
+      assert.equal((await t.request('GET', '/api/messages?room=Not%20A%20Room', { ip: '10.3.0.2' })).status, 400);
+    });
+  });
+
+  describe('agent profiles', () => {
+    let agent, other;
+    before(async () => {
+      agent = await t.register('profiled');
+      other = await t.register('bystander');
+      for (const content of ['one', 'two', 'three']) {
+        await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content }, ip: '10.4.0.1' });
+      }
+      const { body } = await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'oops' }, ip: '10.4.0.1' });
+      await t.request('DELETE', `/api/messages/${body.message.id}`, { key: agent.apiKey, ip: '10.4.0.1' });
+    });
+
+    it('describes agents that are offline', async () => {
+      const { status, body } = await t.request('GET', '/api/agents/profiled', { ip: '10.4.0.2' });
+      assert.equal(status, 200);
+      assert.equal(body.agent.name, 'profiled');
+      assert.equal(body.agent.status, 'offline');
+      assert.ok(body.agent.createdAt);
+      assert.deepEqual(body.agent.identities, []);
+
+      // Deleted messages don't count
+      assert.equal(body.activity.messageCount, 3);
+      assert.ok(body.activity.firstMessageAt <= body.activity.lastMessageAt);
+      assert.equal(body.activity.activeHours.length, 1);
+      assert.equal(body.activity.activeHours[0].messages, 3);
+      assert.deepEqual(body.recentMessages.map(m => m.content), ['one', 'two', 'three']);
+    });
+
+    it('returns 404 for unknown agents', async () => {
+      assert.equal((await t.request('GET', '/api/agents/nobody-here', { ip: '10.4.0.2' })).status, 404);
+    });
+
+    it('lets an agent edit its own avatar and bio', async () => {
+      const { status, body } = await t.request('PATCH', '/api/agents/profiled', {
+        key: agent.apiKey,
+        body: { avatar: '🦉', bio: '  Answers questions about owls.  ' },
+        ip: '10.4.0.1',
+      });
+      assert.equal(status, 200);
+      assert.equal(body.agent.avatar, '🦉');
+      assert.equal(body.agent.bio, 'Answers questions about owls.');
+
+      // Fields left out are kept; null clears
+      await t.request('PATCH', '/api/agents/profiled', { key: agent.apiKey, body: { bio: null }, ip: '10.4.0.1' });
+      const profile = (await t.request('GET', '/api/agents/profiled', { ip: '10.4.0.2' })).body.agent;
+      assert.equal(profile.avatar, '🦉');
+      assert.equal(profile.bio, null);
+    });
+
+    it('rejects edits to other profiles and invalid fields', async () => {
+      const edit = (name, body) => t.request('PATCH', `/api/agents/${name}`, { key: other.apiKey, body, ip: '10.4.0.3' });
+      assert.equal((await edit('profiled', { bio: 'hijacked' })).status, 403);
+      assert.equal((await edit('bystander', {})).status, 400);
+      assert.equal((await edit('bystander', { bio: 'x'.repeat(501) })).status, 400);
+      assert.equal((await edit('bystander', { avatar: 42 })).status, 400);
+    });
+  });
+
+  describe('idempotent sends', () => {
+    let agent;
+    const send = (body, headers) => t.request('POST', '/api/messages', { key: agent.apiKey, body, headers, ip: '10.6.0.1' });
+    const count = async content => (await t.pool.query(`SELECT COUNT(*)::int AS n FROM messages WHERE content = $1`, [content])).rows[0].n;
+
+    before(async () => { agent = await t.register('retrier'); });
+
+    it('replays the original message for a repeated clientMessageId', async () => {
+      const first = await send({ content: 'exactly once', clientMessageId: 'c-1' });
+      assert.equal(first.status, 200);
+      assert.equal(first.body.message.clientMessageId, 'c-1');
+      assert.equal(first.body.replayed, undefined);
+
+      const retry = await send({ content: 'exactly once', clientMessageId: 'c-1' });
+      assert.equal(retry.status, 200);
+      assert.equal(retry.body.replayed, true);
+      assert.deepEqual(retry.body.message, first.body.message);
+      assert.equal(await count('exactly once'), 1);
+    });
+
+    it('accepts an Idempotency-Key header', async () => {
+      const first = await send({ content: 'via header' }, { 'Idempotency-Key': 'h-1' });
+      const retry = await send({ content: 'via header' }, { 'Idempotency-Key': 'h-1' });
+      assert.equal(retry.body.message.id, first.body.message.id);
+      assert.equal(first.body.message.clientMessageId, 'h-1');
+
+      const mismatch = await send({ content: 'via header', clientMessageId: 'other' }, { 'Idempotency-Key': 'h-1' });
+      assert.equal(mismatch.status, 400);
+    });
+
+    it('rejects a key reused for a different message, and invalid keys', async () => {
+      await send({ content: 'original', clientMessageId: 'c-2' });
+      const reused = await send({ content: 'something else', clientMessageId: 'c-2' });
+      assert.equal(reused.status, 422);
+
+      assert.equal((await send({ content: 'x', clientMessageId: 'has spaces' })).status, 400);
+      assert.equal((await send({ content: 'x', clientMessageId: 42 })).status, 400);
+    });
+
+    it('frees the key when the send fails', async () => {
+      const failed = await send({ content: 'lost', room: 'nowhere', clientMessageId: 'c-3' });
+      assert.equal(failed.status, 404);
+      const fixed = await send({ content: 'found', clientMessageId: 'c-3' });
+      assert.equal(fixed.status, 200);
+      assert.equal(fixed.body.replayed, undefined);
+    });
+
+    it('answers 409 while the first request is in flight, and forgets keys after a day', async () => {
+      // A claim with no response yet, as the first request leaves it until the message is stored
+      const hash = crypto.createHash('sha256').update(JSON.stringify([null, null, 'racing', null, null])).digest('hex');
+      await t.pool.query(
+        `INSERT INTO idempotency_keys (agent_id, key, request_hash, created_at) VALUES ($1, 'c-4', $2, $3)`,
+        [agent.id, hash, new Date(t.clock.time)]
+      );
+      assert.equal((await send({ content: 'racing', clientMessageId: 'c-4' })).status, 409);
+
+      t.tick(24 * 60 * 60000 + 1000);
+      const later = await send({ content: 'exactly once', clientMessageId: 'c-1' });
+      assert.equal(later.body.replayed, undefined);
+      assert.equal(await count('exactly once'), 2);
+    });
+  });
+
+  describe('when the pool has no connection to spare', () => {
+    let agent, messageId;
+    before(async () => {
+      agent = await t.register('starved');
+      const sent = await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'mine' } });
+      messageId = sent.body.message.id;
+    });
+
+    it('answers 500 to edits and deletes and keeps serving', async () => {
+      t.failNextConnect();
+      const edit = await t.request('PATCH', `/api/messages/${messageId}`, { key: agent.apiKey, body: { content: 'edited' } });
+      assert.deepEqual([edit.status, edit.body.error], [500, 'Internal error']);
+
+      t.failNextConnect();
+      const del = await t.request('DELETE', `/api/messages/${messageId}`, { key: agent.apiKey });
+      assert.deepEqual([del.status, del.body.error], [500, 'Internal error']);
+
+      const retried = await t.request('DELETE', `/api/messages/${messageId}`, { key: agent.apiKey });
+      assert.equal(retried.status, 200);
+    });
+
+    it('answers 500 to registrations and key rotations and keeps serving', async () => {
+      t.failNextConnect();
+      const register = await t.request('POST', '/api/register', { body: { name: 'starved-newcomer' }, ip: '10.98.0.1' });
+      assert.deepEqual([register.status, register.body.error], [500, 'Internal error']);
+
+      const { body } = await t.request('GET', '/api/keys', { key: agent.apiKey });
+      const keyId = body.keys[0].id;
+      t.failNextConnect();
+      const rotate = await t.request('POST', `/api/keys/${keyId}/rotate`, { key: agent.apiKey });
+      assert.deepEqual([rotate.status, rotate.body.error], [500, 'Internal error']);
+
+      const retried = await t.request('POST', '/api/register', { body: { name: 'starved-newcomer' }, ip: '10.98.0.1' });
+      assert.equal(retried.status, 200);
+      const rotated = await t.request('POST', `/api/keys/${keyId}/rotate`, { key: agent.apiKey });
+      assert.equal(rotated.status, 200);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('GET /api/export', () => {
+  let t, alice, bob;
+  let ip = 0;
+  // Each export comes from its own address so the hourly export limit doesn't interfere
+  const download = async query => {
+    const res = await fetch(`${t.baseUrl}/api/export${query}`, { headers: { 'X-Forwarded-For': `10.5.0.${++ip}` } });
+    return { status: res.status, headers: res.headers, text: await res.text() };
+  };
+  const lines = text => text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  before(async () => {
+    t = await startApp();
+    alice = await t.register('alice');
+    bob = await t.register('bob');
+    await t.request('POST', '/api/rooms', { key: alice.apiKey, body: { name: 'lab' } });
+
+    // More rows than one cursor batch, inserted directly to stay clear of the message rate limit
+    await t.pool.query(`INSERT INTO messages (agent_id, room, content)
+      SELECT $1, 'general', 'bulk ' || n FROM generate_series(1, 1200) n`, [alice.id]);
+
+    const post = (agent, body) => t.request('POST', '/api/messages', { key: agent.apiKey, body, ip: '10.5.1.1' });
+    await post(bob, { content: 'Quoted "text", with a comma\nand a newline', room: 'lab' });
+    await post(alice, { type: 'code', content: 'console.log("```")', payload: { language: 'js' }, room: 'lab' });
+    const { body } = await post(bob, { content: 'never mind', room: 'lab' });
+    await t.request('DELETE', `/api/messages/${body.message.id}`, { key: bob.apiKey, ip: '10.5.1.1' });
+  });
+  after(() => t.close());
+
+  it('streams every message as JSONL in id order', async () => {
+    const { status, headers, text } = await download('');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /application\/x-ndjson/);
+    assert.match(headers.get('content-disposition'), /chatr-all\.jsonl/);
+
+    const messages = lines(text);
+    assert.equal(messages.length, 1202);
+    assert.equal(messages[0].content, 'bulk 1');
+    assert.equal(messages[1199].content, 'bulk 1200');
+    assert.ok(messages.every((m, i) => i === 0 || BigInt(m.id) > BigInt(messages[i - 1].id)));
+    assert.ok(!messages.some(m => m.content === 'never mind'));
+  });
+
+  it('filters by room, agent and id range', async () => {
+    const lab = lines((await download('?room=lab')).text);
+    assert.deepEqual(lab.map(m => m.agentName), ['bob', 'alice']);
+
+    assert.deepEqual(lines((await download('?room=lab&agent=ALICE')).text).map(m => m.type), ['code']);
+
+    const all = lines((await download('?agent=alice')).text);
+    const range = lines((await download(`?after=${all[9].id}&before=${all[15].id}`)).text);
+    assert.deepEqual(range.map(m => m.content), ['bulk 11', 'bulk 12', 'bulk 13', 'bulk 14', 'bulk 15']);
+
+    assert.equal(lines((await download('?from=2000-01-01T00:00:00Z&to=2000-01-02T00:00:00Z')).text).length, 0);
+  });
+
+  it('quotes CSV fields', async () => {
+    const { headers, text } = await download('?room=lab&format=csv');
+    assert.match(headers.get('content-type'), /text\/csv/);
+    const [header, first] = text.split('\r\n');
+    assert.equal(header, 'id,room,created_at,agent_id,agent_name,type,reply_to,thread_id,edited_at,content,payload');
+    assert.ok(first.endsWith(',"Quoted ""text"", with a comma\nand a newline",'));
+  });
+
+  it('renders a Markdown transcript', async () => {
+    const { headers, text } = await download('?room=lab&format=md');
+    assert.match(headers.get('content-type'), /text\/markdown/);
+    assert.match(text, /^# chatr\.ai transcript — #lab\n\n## \d{4}-\d{2}-\d{2}\n\n\*\*bob\*\* — /);
+    // The fence outgrows the backticks inside the code
+    assert.ok(text.includes('````js\nconsole.log("```")\n````'));
+  });
+
+  it('validates parameters', async () => {
+    assert.equal((await download('?format=xml')).status, 400);
+    assert.equal((await download('?room=Not%20A%20Room')).status, 400);
+    assert.equal((await download('?agent=a')).status, 400);
+    assert.equal((await download('?after=1;drop')).status, 400);
+    assert.equal((await download('?from=yesterday')).status, 400);
+  });
+});
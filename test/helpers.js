@@ -0,0 +1,174 @@
+// Shared setup for the integration tests: a migrated database, an app on a random port and a
+// controllable clock.
+//
+// TEST_DATABASE_URL must point at a disposable Postgres database: every test file wipes its
+// public schema and migrates it from scratch. Without it the suites fail rather than skip, so a run
+// that never touched the database can't pass.
+
+const { Pool } = require('pg');
+const { createApp } = require('../server');
+const { migrateUp } = require('../migrate');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+let ipCounter = 0;
+
+// Each call gets its own address so per-IP limits (5 registrations an hour) don't leak between tests
+function nextIp() {
+  ipCounter++;
+  return `10.${process.pid % 256}.${Math.floor(ipCounter / 256)}.${ipCounter % 256}`;
+}
+
+async function resetDatabase(pool) {
+  await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+  await migrateUp(pool, () => {});
+}
+
+// Starts a fresh app; options are passed to createApp (e.g. providers)
+async function startApp(options = {}) {
+  if (!TEST_DATABASE_URL) {
+    throw new Error('TEST_DATABASE_URL is not set: point it at a disposable Postgres database (see "Tests" in the README)');
+  }
+  const pool = new Pool({ connectionString: TEST_DATABASE_URL, max: 10 });
+  await resetDatabase(pool);
+
+  const clock = { time: Date.now() };
+  // The tests stand in for a proxy on loopback: X-Forwarded-For picks each request's client address
+  const chatr = createApp({ pool, now: () => clock.time, trustProxy: 'loopback', ...options });
+  const server = await new Promise(resolve => {
+    const s = chatr.listen(0, () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const ctx = {
+    chatr,
+    pool,
+    clock,
+    baseUrl,
+    tick(ms) { clock.time += ms; },
+
+    // JSON request; resolves to { status, body }
+    async request(method, path, { key, body, ip = '127.0.0.1', headers = {} } = {}) {
+      const res = await fetch(baseUrl + path, {
+        method,
+        headers: {
+          'X-Forwarded-For': ip,
+          ...(key ? { Authorization: `Bearer ${key}` } : {}),
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+      return { status: res.status, body: await res.json() };
+    },
+
+    // Registers an agent from a fresh IP; resolves to { id, name, apiKey, ... }
+    async register(name) {
+      const { status, body } = await ctx.request('POST', '/api/register', { body: { name }, ip: nextIp() });
+      if (status !== 200) throw new Error(`register ${name}: ${status} ${body.error}`);
+      return body.agent;
+    },
+
+    // The next pool.connect() the app makes rejects, as it does when the pool is exhausted and
+    // connectionTimeoutMillis runs out. pool.query() (which connects with a callback) is unaffected.
+    failNextConnect() {
+      const connect = pool.connect;
+      pool.connect = function (callback) {
+        if (callback) return connect.call(this, callback);
+        pool.connect = connect;
+        return Promise.reject(new Error('timeout exceeded when trying to connect'));
+      };
+    },
+
+    // Holds the app's next pool.query() containing `fragment` until release() is called;
+    // `reached` resolves once the app is waiting on it
+    holdQuery(fragment) {
+      const query = pool.query;
+      let release;
+      const released = new Promise(resolve => { release = resolve; });
+      const reached = new Promise(resolve => {
+        pool.query = function (text, ...args) {
+          if (typeof text !== 'string' || !text.includes(fragment)) return query.call(this, text, ...args);
+          pool.query = query;
+          resolve();
+          return released.then(() => query.call(this, text, ...args));
+        };
+      });
+      return { reached, release };
+    },
+
+    // Open streams of a kind (sse, dm, ws), as /metrics reports them
+    async streamClients(kind) {
+      const text = await (await fetch(`${baseUrl}/metrics`)).text();
+      const line = text.split('\n').find(l => l.startsWith(`chatr_stream_clients{kind="${kind}"} `));
+      return Number(line.split(' ')[1]);
+    },
+
+    async close() {
+      await chatr.close();
+      await pool.end();
+    },
+  };
+  return ctx;
+}
+
+// Reads an SSE stream; next() resolves to the next parsed event ({ id, data })
+function openStream(baseUrl, path, headers = {}) {
+  const controller = new AbortController();
+  const events = [];
+  const waiters = [];
+  let buffer = '';
+
+  const push = event => {
+    const waiter = waiters.shift();
+    if (waiter) waiter(event);
+    else events.push(event);
+  };
+
+  fetch(baseUrl + path, { headers, signal: controller.signal }).then(async res => {
+    const decoder = new TextDecoder();
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = { id: null, data: null };
+          for (const line of block.split('\n')) {
+            if (line.startsWith('id: ')) event.id = line.slice(4);
+            if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+          }
+          if (event.data) push(event);
+        }
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') throw err;
+    }
+  }).catch(err => {
+    if (err.name !== 'AbortError') console.error('SSE stream error:', err);
+  });
+
+  return {
+    next(timeoutMs = 3000) {
+      if (events.length > 0) return Promise.resolve(events.shift());
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for an SSE event')), timeoutMs);
+        waiters.push(event => {
+          clearTimeout(timer);
+          resolve(event);
+        });
+      });
+    },
+    // Skips events (e.g. stats) until one of the given type arrives
+    async nextOfType(type, timeoutMs = 3000) {
+      for (;;) {
+        const event = await this.next(timeoutMs);
+        if (event.data.type === type) return event;
+      }
+    },
+    close() { controller.abort(); },
+  };
+}
+
+module.exports = { startApp, openStream };
@@ -0,0 +1,177 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ResourceUpdatedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { startApp } = require('./helpers');
+const { createClient } = require('../sdk');
+const { createMcpServer } = require('../mcp/server');
+const { createHttpApp } = require('../mcp');
+
+// Tool results are the API response as JSON text
+const parse = result => JSON.parse(result.content[0].text);
+
+// The HTTP endpoint on a free port, and an MCP client connected to it
+const listen = app => new Promise(resolve => {
+  const server = app.listen(0, () => resolve(server));
+});
+const connectHttp = async (server, headers = {}) => {
+  const http = new Client({ name: 'test', version: '1.0.0' });
+  await http.connect(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${server.address().port}/mcp`), {
+    requestInit: { headers },
+  }));
+  return http;
+};
+
+describe('MCP server', () => {
+  let t, client, chatr;
+
+  before(async () => {
+    process.env.ADMIN_KEY = 'test-admin-key';
+    t = await startApp();
+    chatr = createClient({ baseUrl: t.baseUrl });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createMcpServer({ chatr }).connect(serverTransport);
+    client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(clientTransport);
+  });
+  after(async () => {
+    delete process.env.ADMIN_KEY;
+    await client.close();
+    await t.close();
+  });
+
+  it('lists the tools', async () => {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name).sort(), [
+      'join_room', 'list_agents', 'list_rooms', 'read_messages', 'register', 'send_message', 'verify_complete', 'verify_start',
+    ]);
+  });
+
+  it('registers, sends and reads messages', async () => {
+    const unregistered = await client.callTool({ name: 'send_message', arguments: { content: 'too early' } });
+    assert.equal(unregistered.isError, true);
+
+    const { agent } = parse(await client.callTool({ name: 'register', arguments: { name: 'mcp-agent' } }));
+    assert.equal(agent.name, 'mcp-agent');
+    assert.equal(chatr.apiKey, agent.apiKey);
+
+    const { message } = parse(await client.callTool({ name: 'send_message', arguments: { content: 'hello over MCP' } }));
+    assert.equal(message.agentName, 'mcp-agent');
+    assert.ok(message.clientMessageId);
+
+    await client.callTool({ name: 'send_message', arguments: { content: 'and again' } });
+    const { messages } = parse(await client.callTool({ name: 'read_messages', arguments: { since: message.id } }));
+    assert.deepEqual(messages.map(m => m.content), ['and again']);
+
+    const { agents } = parse(await client.callTool({ name: 'list_agents', arguments: {} }));
+    assert.ok(Array.isArray(agents));
+  });
+
+  it('returns API errors as tool errors', async () => {
+    const result = await client.callTool({ name: 'send_message', arguments: { content: 'lost', room: 'nowhere' } });
+    assert.equal(result.isError, true);
+    assert.deepEqual(parse(result), { status: 404, success: false, error: 'Room not found' });
+  });
+
+  it('notifies subscribers of new messages in a room', async () => {
+    const { resources } = await client.listResources();
+    assert.ok(resources.some(r => r.uri === 'chatr://rooms/general/messages'));
+
+    const updated = new Promise(resolve => {
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => resolve(notification.params.uri));
+    });
+    await client.subscribeResource({ uri: 'chatr://rooms/general/messages' });
+    // Give the stream a moment to connect before posting
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const other = await t.register('poster');
+    await t.request('POST', '/api/messages', { key: other.apiKey, body: { content: 'news' } });
+    assert.equal(await updated, 'chatr://rooms/general/messages');
+
+    const read = await client.readResource({ uri: 'chatr://rooms/general/messages' });
+    assert.equal(JSON.parse(read.contents[0].text).at(-1).content, 'news');
+    await client.unsubscribeResource({ uri: 'chatr://rooms/general/messages' });
+  });
+
+  it('serves sessions over Streamable HTTP with the caller\'s API key', async () => {
+    const agent = await t.register('http-agent');
+    const server = await listen(createHttpApp({ chatrUrl: t.baseUrl }));
+    const http = await connectHttp(server, { Authorization: `Bearer ${agent.apiKey}` });
+    try {
+      const { message } = parse(await http.callTool({ name: 'send_message', arguments: { content: 'via http' } }));
+      assert.equal(message.agentName, 'http-agent');
+    } finally {
+      await http.close();
+      server.close();
+    }
+  });
+
+  it('believes a caller\'s X-Forwarded-For only from a trusted proxy', async () => {
+    const ban = await t.request('POST', '/api/admin/sanctions', {
+      headers: { Authorization: 'Bearer test-admin-key' }, body: { kind: 'ban', ip: '10.77.0.1', reason: 'spam' },
+    });
+    assert.equal(ban.status, 200);
+    const spoofed = { 'X-Forwarded-For': '10.77.0.1' };
+
+    // Direct callers can't pick their address: chatr sees the connection's
+    const direct = await listen(createHttpApp({ chatrUrl: t.baseUrl }));
+    let http = await connectHttp(direct, spoofed);
+    try {
+      const { agent } = parse(await http.callTool({ name: 'register', arguments: { name: 'mcp-direct' } }));
+      assert.equal(agent.name, 'mcp-direct');
+    } finally {
+      await http.close();
+      direct.close();
+    }
+
+    const proxied = await listen(createHttpApp({ chatrUrl: t.baseUrl, trustProxy: 'loopback' }));
+    http = await connectHttp(proxied, spoofed);
+    try {
+      const result = await http.callTool({ name: 'register', arguments: { name: 'mcp-proxied' } });
+      assert.equal(result.isError, true);
+      assert.deepEqual([parse(result).status, parse(result).error], [403, 'Banned']);
+    } finally {
+      await http.close();
+      proxied.close();
+    }
+  });
+
+  it('caps sessions per address and in total, and closes idle ones', async () => {
+    let clock = Date.now();
+    const server = await listen(createHttpApp({
+      chatrUrl: t.baseUrl, trustProxy: 'loopback', now: () => clock, maxSessions: 3, sessionsPerIp: 2,
+    }));
+    const from = ip => connectHttp(server, { 'X-Forwarded-For': ip });
+    const open = async () => (await (await fetch(`http://127.0.0.1:${server.address().port}/health`)).json()).sessions;
+
+    const clients = [await from('10.78.0.1'), await from('10.78.0.1')];
+    try {
+      await assert.rejects(from('10.78.0.1'), { code: 429 });
+      clients.push(await from('10.78.0.2'));
+      // Full: a newcomer is refused instead of closing someone else's session
+      await assert.rejects(from('10.78.0.3'), { code: 503 });
+      assert.equal(await open(), 3);
+
+      const ended = clients.shift();
+      await ended.transport.terminateSession();
+      await ended.close();
+      clients.push(await from('10.78.0.3'));
+      assert.equal(await open(), 3);
+
+      // Clients that go away without a DELETE are closed after 30 idle minutes
+      for (const client of clients.splice(0)) await client.close();
+      // Let their notification streams close first; idle time counts from then
+      await new Promise(resolve => setTimeout(resolve, 100));
+      clock += 29 * 60000;
+      await assert.rejects(from('10.78.0.4'), { code: 503 });
+      clock += 2 * 60000;
+      clients.push(await from('10.78.0.4'));
+      assert.equal(await open(), 1);
+    } finally {
+      for (const client of clients) await client.close();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { loadTrustProxy } = require('../server');
+
+describe('loadTrustProxy', () => {
+  it('reads TRUST_PROXY as hops, a boolean or addresses', () => {
+    assert.equal(loadTrustProxy({}), false);
+    assert.equal(loadTrustProxy({ TRUST_PROXY: 'false' }), false);
+    assert.equal(loadTrustProxy({ TRUST_PROXY: 'true' }), true);
+    assert.equal(loadTrustProxy({ TRUST_PROXY: '1' }), 1);
+    assert.equal(loadTrustProxy({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }), 'loopback, 10.0.0.0/8');
+    assert.throws(() => loadTrustProxy({ TRUST_PROXY: 'not-an-address' }));
+  });
+});
+
+for (const [label, trustProxy] of [['behind a trusted proxy', 'loopback'], ['without a trusted proxy', false]]) {
+  describe(`IP bans ${label}`, () => {
+    let t;
+    const admin = { Authorization: 'Bearer test-admin-key' };
+
+    before(async () => {
+      process.env.ADMIN_KEY = 'test-admin-key';
+      t = await startApp({ trustProxy });
+    });
+    after(async () => {
+      delete process.env.ADMIN_KEY;
+      await t.close();
+    });
+
+    it('apply to the client address, which a forged X-Forwarded-For can\'t change', async () => {
+      // Behind the proxy the client is whatever it forwards; without one it's the socket (loopback)
+      const banned = trustProxy ? '203.0.113.7' : '127.0.0.1';
+      const ban = await t.request('POST', '/api/admin/sanctions', { headers: admin, body: { kind: 'ban', ip: banned, reason: 'spam' } });
+      assert.equal(ban.status, 200);
+
+      const register = ip => t.request('POST', '/api/register', { body: { name: `from-${ip.replace(/\./g, '-')}` }, ip });
+      assert.equal((await register('203.0.113.7')).status, 403);
+      assert.equal((await register('198.51.100.1')).status, trustProxy ? 200 : 403);
+    });
+  });
+}
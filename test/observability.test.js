@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { createLogger, requestContext } = require('../logger');
+
+describe('logger', () => {
+  const capture = () => {
+    const lines = [];
+    const stream = { write: line => lines.push(JSON.parse(line)) };
+    return { lines, stream };
+  };
+
+  it('writes JSON lines tagged with the current request id', () => {
+    const out = capture();
+    const err = capture();
+    const log = createLogger({ stdout: out.stream, stderr: err.stream });
+
+    requestContext.run({ requestId: 'req-1' }, () => {
+      log.info('hello', { room: 'general' });
+      log.error('boom', { err: new Error('broken') });
+    });
+    log.info('outside');
+
+    assert.equal(out.lines[0].msg, 'hello');
+    assert.equal(out.lines[0].level, 'info');
+    assert.equal(out.lines[0].requestId, 'req-1');
+    assert.equal(out.lines[0].room, 'general');
+    assert.equal(out.lines[1].requestId, undefined);
+    assert.equal(err.lines[0].err.message, 'broken');
+    assert.ok(err.lines[0].err.stack);
+  });
+
+  it('drops lines below LOG_LEVEL', () => {
+    const out = capture();
+    const log = createLogger({ level: 'warn', stdout: out.stream, stderr: out.stream });
+    log.info('quiet');
+    log.warn('loud');
+    assert.deepEqual(out.lines.map(l => l.msg), ['loud']);
+  });
+});
+
+describe('GET /metrics', () => {
+  let t;
+  const scrape = async (headers = {}) => {
+    const res = await fetch(`${t.baseUrl}/metrics`, { headers: { 'X-Forwarded-For': '10.7.0.9', ...headers } });
+    return { status: res.status, text: await res.text() };
+  };
+  const value = (text, series) => {
+    const line = text.split('\n').find(l => l.startsWith(series + ' '));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+  };
+
+  before(async () => { t = await startApp(); });
+  after(() => t.close());
+
+  it('counts messages, rate-limit rejections and auth failures', async () => {
+    const agent = await t.register('metered');
+    await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'hi' } });
+    await t.request('POST', '/api/messages', { key: 'chatr_nope' });
+    for (let i = 0; i < 6; i++) {
+      await t.request('POST', '/api/register', { body: { name: `flood${i}` }, ip: '10.7.0.1' });
+    }
+
+    const { status, text } = await scrape();
+    assert.equal(status, 200);
+    assert.equal(value(text, 'chatr_messages_total{type="text"}'), 1);
+    assert.equal(value(text, 'chatr_rate_limit_rejections_total{limiter="register"}'), 1);
+    assert.equal(value(text, 'chatr_auth_failures_total{reason="malformed"}'), 1);
+    assert.equal(value(text, 'chatr_stream_clients{kind="sse"}'), 0);
+    assert.ok(value(text, 'chatr_last_message_timestamp_seconds') > 0);
+    assert.ok(value(text, 'chatr_db_query_duration_seconds_count') > 0);
+    assert.ok(value(text, 'chatr_broadcast_fanout_seconds_count{event="message"}') >= 1);
+    assert.ok(value(text, 'chatr_http_requests_total{method="POST",route="/api/messages",status="200"}') >= 1);
+    assert.ok(value(text, 'chatr_db_pool_connections{state="total"}') >= 1);
+  });
+
+  it('echoes or assigns request ids', async () => {
+    const given = await fetch(`${t.baseUrl}/health`, { headers: { 'X-Request-Id': 'trace-42' } });
+    assert.equal(given.headers.get('x-request-id'), 'trace-42');
+
+    const assigned = await fetch(`${t.baseUrl}/health`, { headers: { 'X-Request-Id': 'not a valid id!' } });
+    assert.match(assigned.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Ajv = require('ajv/dist/2020');
+const { startApp } = require('./helpers');
+const { spec } = require('../openapi');
+
+// Response bodies checked against the document's schemas; formats and x- keywords are documentation
+const ajv = new Ajv({ strict: false, validateFormats: false, allowUnionTypes: true });
+ajv.addSchema(spec, 'openapi');
+
+function assertMatches(path, method, { status, body }) {
+  const responses = spec.paths[path][method].responses;
+  const schemaRef = status === 200
+    ? `openapi#/paths/${path.replace(/\//g, '~1')}/${method}/responses/200/content/application~1json/schema`
+    : 'openapi#/components/responses/Error/content/application~1json/schema';
+  assert.ok(status === 200 ? responses[200] : responses.default, `${method} ${path} documents ${status}`);
+  const validate = ajv.getSchema(schemaRef);
+  assert.ok(validate(body), `${method.toUpperCase()} ${path} ${status}: ${ajv.errorsText(validate.errors)}`);
+}
+
+describe('OpenAPI document', () => {
+  let t;
+
+  before(async () => {
+    t = await startApp();
+  });
+  after(() => t.close());
+
+  it('describes every route and no others', () => {
+    const routes = new Set();
+    for (const layer of t.chatr.app._router.stack) {
+      if (!layer.route) continue;
+      for (const path of [].concat(layer.route.path)) {
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.add(`${method} ${path.replace(/:(\w+)/g, '{$1}')}`);
+        }
+      }
+    }
+    const documented = new Set();
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const method of Object.keys(methods)) documented.add(`${method} ${path}`);
+    }
+    assert.deepEqual([...documented].sort(), [...routes].sort());
+  });
+
+  it('validates every route that takes input', () => {
+    for (const layer of t.chatr.app._router.stack) {
+      if (!layer.route) continue;
+      for (const method of Object.keys(layer.route.methods)) {
+        const path = [].concat(layer.route.path)[0].replace(/:(\w+)/g, '{$1}');
+        const op = spec.paths[path][method];
+        const takesInput = Boolean(op.parameters || op.requestBody);
+        const validates = layer.route.stack.some(l => l.handle.name === 'validate');
+        assert.equal(validates, takesInput, `${method} ${path}`);
+      }
+    }
+  });
+
+  it('is served at /api/openapi.json', async () => {
+    const { status, body } = await t.request('GET', '/api/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.deepEqual(body, JSON.parse(JSON.stringify(spec)));
+  });
+
+  it('rejects requests that break the schema with 400 and the handlers\' wording', async () => {
+    const agent = await t.register('validated');
+    const key = agent.apiKey;
+
+    const cases = [
+      ['GET', '/api/messages?limit=ten', null, undefined, 'Invalid limit parameter: must be integer'],
+      ['GET', '/api/messages?before=abc', null, undefined, 'Invalid before parameter'],
+      ['GET', '/api/messages/search', null, undefined, 'Query (q) must be 1-200 characters'],
+      ['GET', '/api/messages/search?q=hi&sort=oldest', null, undefined, 'sort must be one of: rank, recent'],
+      ['PATCH', '/api/messages/abc', key, { content: 'x' }, 'Invalid message id'],
+      ['POST', '/api/messages', key, { content: 'x', type: 'video' }, 'type must be one of: text, markdown, code, json, tool_result'],
+      ['POST', '/api/messages', key, { content: 'x', clientMessageId: 'no spaces' }, 'clientMessageId must be 1-64 letters, digits, _ . : or -'],
+      ['POST', '/api/typing', key, { typing: 'yes' }, 'typing must be a boolean'],
+      ['POST', '/api/presence', key, { status: 'asleep' }, 'status must be one of: online, idle, busy'],
+    ];
+    for (const [method, path, caseKey, body, error] of cases) {
+      const res = await t.request(method, path, { key: caseKey, body });
+      assert.equal(res.status, 400, `${method} ${path}`);
+      assert.deepEqual(res.body, { success: false, error }, `${method} ${path}`);
+      assertMatches(path.split('?')[0].replace(/\/abc$/, '/{id}'), method.toLowerCase(), res);
+    }
+
+    const register = await t.request('POST', '/api/register', { body: { avatar: 'x' } });
+    assert.deepEqual(register.body, { success: false, error: 'Name required' });
+  });
+
+  it('checks authentication before validation', async () => {
+    const res = await t.request('POST', '/api/typing', { body: { typing: 'yes' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('describes the responses the server sends', async () => {
+    const registered = await t.request('POST', '/api/register', { body: { name: 'documented', avatar: '📘' }, ip: '10.99.0.1' });
+    assertMatches('/api/register', 'post', registered);
+    const key = registered.body.agent.apiKey;
+
+    const sent = await t.request('POST', '/api/messages', { key, body: { content: 'hello @documented', clientMessageId: 'doc-1' } });
+    assertMatches('/api/messages', 'post', sent);
+    const replayed = await t.request('POST', '/api/messages', { key, body: { content: 'hello @documented', clientMessageId: 'doc-1' } });
+    assertMatches('/api/messages', 'post', replayed);
+    const reply = await t.request('POST', '/api/messages', {
+      key, body: { type: 'code', content: 'x = 1', payload: { language: 'python' }, replyTo: sent.body.message.id },
+    });
+    assertMatches('/api/messages', 'post', reply);
+
+    assertMatches('/api/messages', 'get', await t.request('GET', '/api/messages'));
+    assertMatches('/api/messages/{id}/thread', 'get', await t.request('GET', `/api/messages/${sent.body.message.id}/thread`));
+    assertMatches('/api/mentions', 'get', await t.request('GET', '/api/mentions', { key }));
+    assertMatches('/api/rooms', 'get', await t.request('GET', '/api/rooms'));
+    assertMatches('/api/agents', 'get', await t.request('GET', '/api/agents'));
+    assertMatches('/api/agents/{name}', 'get', await t.request('GET', '/api/agents/documented'));
+    assertMatches('/api/heartbeat', 'post', await t.request('POST', '/api/heartbeat', { key }));
+    assertMatches('/api/presence', 'post', await t.request('POST', '/api/presence', { key, body: { status: 'busy', statusText: 'writing docs' } }));
+    assertMatches('/api/keys', 'get', await t.request('GET', '/api/keys', { key }));
+    assertMatches('/api/messages/{id}', 'delete', await t.request('DELETE', `/api/messages/${reply.body.message.id}`, { key }));
+    assertMatches('/api/messages/{id}', 'patch', await t.request('PATCH', '/api/messages/999999', { key, body: { content: 'gone' } }));
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, openStream } = require('./helpers');
+
+describe('presence', () => {
+  let t, agent, watcher;
+  const agents = async () => (await t.request('GET', '/api/agents')).body.agents;
+
+  before(async () => {
+    t = await startApp();
+    agent = await t.register('present');
+    watcher = openStream(t.baseUrl, '/api/stream');
+    await watcher.nextOfType('history');
+  });
+  after(async () => {
+    watcher.close();
+    await t.close();
+  });
+
+  it('follows the authenticated DM stream', async () => {
+    assert.deepEqual(await agents(), []);
+
+    const dm = openStream(t.baseUrl, '/api/stream/dm', { Authorization: `Bearer ${agent.apiKey}` });
+    const online = await watcher.nextOfType('presence');
+    assert.equal(online.data.data.agentName, 'present');
+    assert.equal(online.data.data.online, true);
+    assert.equal(online.data.data.status, 'online');
+    assert.deepEqual((await agents()).map(a => a.name), ['present']);
+
+    dm.close();
+    const offline = await watcher.nextOfType('presence');
+    assert.equal(offline.data.data.online, false);
+    assert.equal(offline.data.data.status, 'offline');
+    assert.deepEqual(await agents(), []);
+  });
+
+  it('lets go of a DM stream that closes while its history loads', async () => {
+    const history = t.holdQuery('d.sender_id = $1 OR d.recipient_id = $1');
+    const dm = openStream(t.baseUrl, '/api/stream/dm', { Authorization: `Bearer ${agent.apiKey}` });
+    await history.reached;
+    assert.equal((await watcher.nextOfType('presence')).data.data.online, true);
+
+    dm.close();
+    assert.equal((await watcher.nextOfType('presence')).data.data.online, false);
+    history.release();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(await t.streamClients('dm'), 0);
+    assert.deepEqual(await agents(), []);
+  });
+
+  it('delivers DMs sent while the DM history loads exactly once', async () => {
+    const sender = await t.register('dm-sender');
+    const history = t.holdQuery('d.sender_id = $1 OR d.recipient_id = $1');
+    const dm = openStream(t.baseUrl, '/api/stream/dm', { Authorization: `Bearer ${agent.apiKey}` });
+    try {
+      await history.reached;
+      await t.request('POST', '/api/dm/present', { key: sender.apiKey, body: { content: 'during history' } });
+      history.release();
+
+      const first = await dm.next();
+      assert.equal(first.data.type, 'history');
+      assert.deepEqual(first.data.data.map(m => m.content), ['during history']);
+
+      await t.request('POST', '/api/dm/present', { key: sender.apiKey, body: { content: 'after history' } });
+      assert.equal((await dm.nextOfType('dm')).data.data.content, 'after history');
+    } finally {
+      dm.close();
+      await watcher.nextOfType('presence');
+      await watcher.nextOfType('presence');
+    }
+  });
+
+  it('does not count API calls as being online', async () => {
+    await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'drive-by' } });
+    assert.deepEqual(await agents(), []);
+  });
+
+  it('keeps heartbeat agents online until they disconnect', async () => {
+    const { status, body } = await t.request('POST', '/api/heartbeat', { key: agent.apiKey });
+    assert.equal(status, 200);
+    assert.equal(body.expiresIn, 5 * 60 * 1000);
+    assert.equal(body.presence.online, true);
+    assert.equal((await watcher.nextOfType('presence')).data.data.online, true);
+
+    // A second heartbeat renews the lease without announcing anything
+    await t.request('POST', '/api/heartbeat', { key: agent.apiKey });
+    await t.request('POST', '/api/disconnect', { key: agent.apiKey });
+    assert.equal((await watcher.nextOfType('presence')).data.data.online, false);
+    assert.deepEqual(await agents(), []);
+  });
+
+  it('broadcasts status changes', async () => {
+    await t.request('POST', '/api/heartbeat', { key: agent.apiKey });
+    await watcher.nextOfType('presence');
+
+    const { status, body } = await t.request('POST', '/api/presence', {
+      key: agent.apiKey,
+      body: { status: 'busy', statusText: '  compiling  ' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.presence.status, 'busy');
+    assert.equal(body.presence.statusText, 'compiling');
+
+    const event = await watcher.nextOfType('presence');
+    assert.equal(event.data.data.status, 'busy');
+    assert.deepEqual(event.data.data.rooms, ['general']);
+    const [listed] = await agents();
+    assert.equal(listed.status, 'busy');
+    assert.equal(listed.statusText, 'compiling');
+
+    // Text alone keeps the status; null clears the text
+    const cleared = await t.request('POST', '/api/presence', { key: agent.apiKey, body: { statusText: null } });
+    assert.equal(cleared.body.presence.status, 'busy');
+    assert.equal(cleared.body.presence.statusText, null);
+  });
+
+  it('validates status changes', async () => {
+    const post = body => t.request('POST', '/api/presence', { key: agent.apiKey, body });
+    assert.equal((await post({})).status, 400);
+    assert.equal((await post({ status: 'offline' })).status, 400);
+    assert.equal((await post({ statusText: 42 })).status, 400);
+    assert.equal((await post({ statusText: 'x'.repeat(101) })).status, 400);
+  });
+
+  it('sends typing signals to their room only', async () => {
+    await t.request('POST', '/api/rooms', { key: agent.apiKey, body: { name: 'quiet' } });
+    const quiet = openStream(t.baseUrl, '/api/stream?room=quiet');
+    try {
+      await quiet.nextOfType('history');
+
+      const { status, body } = await t.request('POST', '/api/typing', { key: agent.apiKey, body: { room: 'quiet' } });
+      assert.equal(status, 200);
+      assert.equal(body.typing.typing, true);
+      const event = await quiet.nextOfType('typing');
+      assert.equal(event.data.data.agentName, 'present');
+      assert.equal(event.data.data.room, 'quiet');
+      assert.equal(event.data.data.expiresIn, 10000);
+
+      await t.request('POST', '/api/typing', { key: agent.apiKey, body: { typing: false } });
+      const stopped = await watcher.nextOfType('typing');
+      assert.equal(stopped.data.data.room, 'general');
+      assert.equal(stopped.data.data.typing, false);
+    } finally {
+      quiet.close();
+    }
+  });
+
+  it('validates typing signals', async () => {
+    const post = body => t.request('POST', '/api/typing', { key: agent.apiKey, body });
+    assert.equal((await post({ typing: 'yes' })).status, 400);
+    assert.equal((await post({ room: 'nowhere' })).status, 404);
+  });
+});
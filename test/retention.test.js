@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { startApp } = require('./helpers');
+const { loadRetention } = require('../server');
+
+describe('loadRetention', () => {
+  it('keeps everything by default', () => {
+    assert.deepEqual(loadRetention({}), { maxAgeDays: null, maxMessages: null, archiveDir: null });
+  });
+
+  it('reads the policy from the environment', () => {
+    assert.deepEqual(
+      loadRetention({ RETENTION_DAYS: '90', RETENTION_MAX_MESSAGES: '10000', ARCHIVE_DIR: '/var/archive' }),
+      { maxAgeDays: 90, maxMessages: 10000, archiveDir: '/var/archive' }
+    );
+    assert.throws(() => loadRetention({ RETENTION_DAYS: '0' }), /RETENTION_DAYS/);
+    assert.throws(() => loadRetention({ RETENTION_MAX_MESSAGES: 'lots' }), /RETENTION_MAX_MESSAGES/);
+  });
+});
+
+describe('message retention', () => {
+  let t, agent, archiveDir;
+  const stats = async () => (await t.request('GET', '/api/agents', { ip: '10.6.0.2' })).body.stats;
+  const contents = async room => (await t.pool.query(`SELECT content FROM messages WHERE room = $1 ORDER BY id`, [room]))
+    .rows.map(r => r.content);
+
+  before(async () => {
+    archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatr-archive-'));
+    t = await startApp({ retention: { maxAgeDays: 30, maxMessages: 5, archiveDir } });
+    agent = await t.register('keeper');
+    await t.request('POST', '/api/rooms', { key: agent.apiKey, body: { name: 'quiet' } });
+
+    await t.pool.query(`INSERT INTO messages (agent_id, room, content, created_at)
+      SELECT $1, 'quiet', 'ancient ' || n, NOW() - INTERVAL '60 days' FROM generate_series(1, 2) n`, [agent.id]);
+    await t.pool.query(`INSERT INTO messages (agent_id, room, content)
+      SELECT $1, 'quiet', 'recent ' || n FROM generate_series(1, 3) n`, [agent.id]);
+    await t.pool.query(`INSERT INTO messages (agent_id, room, content)
+      SELECT $1, 'general', 'busy ' || n FROM generate_series(1, 8) n`, [agent.id]);
+  });
+  after(async () => {
+    await t.close();
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  it('keeps stats counters in step with inserts', async () => {
+    assert.deepEqual(await stats(), { totalAgents: 1, onlineAgents: 0, totalMessages: 13 });
+  });
+
+  it('prunes by age and by count per room, archiving first', async () => {
+    assert.equal(await t.chatr.pruneMessages(), 5);
+    assert.deepEqual(await contents('quiet'), ['recent 1', 'recent 2', 'recent 3']);
+    assert.deepEqual(await contents('general'), ['busy 4', 'busy 5', 'busy 6', 'busy 7', 'busy 8']);
+    assert.equal((await stats()).totalMessages, 8);
+
+    const archived = fs.readdirSync(archiveDir).sort().flatMap(file => {
+      assert.match(file, /^messages-\d+-\d+\.jsonl\.gz$/);
+      const text = zlib.gunzipSync(fs.readFileSync(path.join(archiveDir, file))).toString();
+      return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    });
+    assert.deepEqual(archived.map(m => m.content).sort(), ['ancient 1', 'ancient 2', 'busy 1', 'busy 2', 'busy 3']);
+    assert.equal(archived[0].agentName, 'keeper');
+
+    // Nothing left to do
+    assert.equal(await t.chatr.pruneMessages(), 0);
+  });
+
+  it('leaves pruning to whichever instance holds the lock', async () => {
+    await t.pool.query(`INSERT INTO messages (agent_id, content) VALUES ($1, 'one more')`, [agent.id]);
+    const other = await t.pool.connect();
+    try {
+      await other.query(`SELECT pg_advisory_lock(7361002)`);
+      assert.equal(await t.chatr.pruneMessages(), 0);
+      await other.query(`SELECT pg_advisory_unlock(7361002)`);
+    } finally {
+      other.release();
+    }
+    assert.equal(await t.chatr.pruneMessages(), 1);
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { createClient, ChatrError } = require('../sdk');
+
+describe('JavaScript client', () => {
+  let t;
+  let ipCounter = 0;
+
+  before(async () => {
+    t = await startApp();
+  });
+  after(() => t.close());
+
+  // A client with its own address; `fetch` wraps the real one
+  const client = (options = {}) => createClient({
+    baseUrl: t.baseUrl,
+    headers: { 'X-Forwarded-For': `10.200.0.${++ipCounter}` },
+    ...options,
+  });
+
+  it('registers and keeps the key', async () => {
+    const chatr = client();
+    const { agent } = await chatr.register({ name: 'sdk-agent', avatar: '🧰' });
+    assert.equal(chatr.apiKey, agent.apiKey);
+
+    const { message } = await chatr.send('hello from the sdk');
+    assert.equal(message.agentName, 'sdk-agent');
+    assert.ok(message.clientMessageId);
+
+    const { presence } = await chatr.setPresence({ statusText: 'testing the sdk' });
+    assert.equal(presence.statusText, 'testing the sdk');
+  });
+
+  it('throws ChatrError with the status and body', async () => {
+    const chatr = client();
+    await assert.rejects(chatr.send('no key yet'), err => {
+      assert.ok(err instanceof ChatrError);
+      assert.equal(err.status, 401);
+      assert.equal(err.body.success, false);
+      assert.equal(err.message, err.body.error);
+      return true;
+    });
+    await assert.rejects(chatr.getMessages({ limit: 'lots' }), { status: 400, message: 'Invalid limit parameter: must be integer' });
+  });
+
+  it('retries a send whose response was lost without posting twice', async () => {
+    let posts = 0;
+    const chatr = client({
+      async fetch(url, init) {
+        const res = await fetch(url, init);
+        if (init.method === 'POST' && url.endsWith('/api/messages') && ++posts === 1) {
+          throw new TypeError('fetch failed');
+        }
+        return res;
+      },
+    });
+    await chatr.register({ name: 'sdk-retry' });
+
+    const result = await chatr.send({ content: 'exactly once', room: 'general' });
+    assert.equal(posts, 2);
+    assert.equal(result.replayed, true);
+
+    const { messages } = await chatr.getMessages();
+    assert.equal(messages.filter(m => m.content === 'exactly once').length, 1);
+  });
+
+  it('pages through a room in both directions', async () => {
+    const chatr = client();
+    await chatr.register({ name: 'sdk-pager' });
+    await chatr.createRoom({ name: 'sdk-pages' });
+    const ids = [];
+    for (let i = 1; i <= 5; i++) {
+      ids.push((await chatr.send({ content: `page ${i}`, room: 'sdk-pages' })).message.id);
+    }
+
+    const back = [];
+    for await (const message of chatr.messages({ room: 'sdk-pages', pageSize: 2 })) back.push(message.content);
+    assert.deepEqual(back, ['page 5', 'page 4', 'page 3', 'page 2', 'page 1']);
+
+    const forward = [];
+    for await (const message of chatr.messages({ room: 'sdk-pages', after: ids[0], pageSize: 2 })) forward.push(message.content);
+    assert.deepEqual(forward, ['page 2', 'page 3', 'page 4', 'page 5']);
+  });
+
+  it('subscribes to a room and resumes after a dropped connection', async () => {
+    const connections = [];
+    const chatr = client({
+      fetch(url, init) {
+        if (!url.includes('/api/stream')) return fetch(url, init);
+        // A signal per connection so the test can cut one
+        const controller = new AbortController();
+        init.signal.addEventListener('abort', () => controller.abort());
+        connections.push({ url, controller });
+        return fetch(url, { ...init, signal: controller.signal });
+      },
+    });
+    const poster = await t.register('sdk-poster');
+    const post = content => t.request('POST', '/api/messages', { key: poster.apiKey, body: { content, room: 'general' } });
+
+    const received = [];
+    const errors = [];
+    let notify = () => {};
+    const sub = chatr.subscribe('general', {
+      onMessage(message) {
+        received.push(message.content);
+        notify();
+      },
+      onError: err => errors.push(err),
+    });
+    const waitFor = count => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out with ${JSON.stringify(received)}`)), 5000);
+      notify = () => {
+        if (received.length >= count) {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+      notify();
+    });
+
+    try {
+      // Give the stream a moment to connect before posting
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const { body } = await post('before the drop');
+      await waitFor(1);
+      assert.equal(sub.lastEventId, body.message.id);
+
+      connections[0].controller.abort();
+      await post('during the drop');
+      await waitFor(2);
+      await post('after the drop');
+      await waitFor(3);
+
+      assert.deepEqual(received, ['before the drop', 'during the drop', 'after the drop']);
+      assert.equal(connections.length, 2);
+      assert.match(connections[1].url, new RegExp(`since=${body.message.id}`));
+      assert.equal(errors.length, 1);
+    } finally {
+      sub.close();
+    }
+  });
+
+  it('stops following a stream that can\'t succeed', async () => {
+    let connects = 0;
+    const chatr = client({
+      fetch(url, init) {
+        connects++;
+        return fetch(url, init);
+      },
+    });
+    const error = await new Promise(resolve => chatr.subscribe('no-such-room', { onError: resolve }));
+    assert.equal(error.status, 404);
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    assert.equal(connects, 1);
+  });
+
+  it('keeps an agent online with a heartbeat loop', async () => {
+    let beats = 0;
+    const chatr = client({
+      fetch(url, init) {
+        if (url.endsWith('/api/heartbeat')) beats++;
+        return fetch(url, init);
+      },
+    });
+    await chatr.register({ name: 'sdk-beater' });
+    const beat = chatr.startHeartbeat();
+    try {
+      for (let i = 0; i < 50 && beats === 0; i++) await new Promise(resolve => setTimeout(resolve, 20));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const { agents } = await chatr.listAgents();
+      assert.ok(agents.some(a => a.name === 'sdk-beater' && a.online));
+    } finally {
+      beat.stop();
+    }
+    assert.equal(beats, 1);
+
+    const failed = [];
+    const revoked = client({ apiKey: 'chatr_00000000000000000000000000000000' }).startHeartbeat({ onError: err => failed.push(err) });
+    for (let i = 0; i < 50 && failed.length === 0; i++) await new Promise(resolve => setTimeout(resolve, 20));
+    revoked.stop();
+    assert.equal(failed[0].status, 401);
+  });
+});
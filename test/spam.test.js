@@ -0,0 +1,223 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { normalizeContent, simhash, hammingDistance, countLinks } = require('../spam');
+
+describe('content fingerprints', () => {
+  it('normalizes case, punctuation, accents and spacing', () => {
+    assert.equal(normalizeContent('  B.u.y   NÖW!!!\u200b '), 'buy now');
+  });
+
+  it('puts near copies a few bits apart and different texts far apart', () => {
+    const base = simhash(normalizeContent('Check out my amazing new token launch at the link below, friends!'));
+    const near = simhash(normalizeContent('check out my AMAZING new token launch at the link below friends!!!1'));
+    const other = simhash(normalizeContent('Anyone know how to configure postgres logical replication for this?'));
+    assert.ok(hammingDistance(base, near) <= 10);
+    assert.ok(hammingDistance(base, other) > 20);
+    assert.equal(simhash('too short'), null);
+  });
+
+  it('counts links', () => {
+    assert.equal(countLinks('see https://a.example and www.b.example, not c.example'), 2);
+  });
+});
+
+describe('spam protection', () => {
+  let t;
+  let ip = 0;
+  const admin = { Authorization: 'Bearer test-admin-key' };
+  // Posts come from fresh addresses so the global per-IP limit doesn't interfere
+  const post = (agent, body) => t.request('POST', '/api/messages', { key: agent.apiKey, body, ip: `10.8.0.${++ip % 250}` });
+  const adminRequest = (method, path, body) => t.request(method, path, { body, headers: admin, ip: '10.8.1.1' });
+  const roomContents = async () => (await t.request('GET', '/api/messages?limit=100', { ip: '10.8.1.2' })).body.messages.map(m => m.content);
+
+  before(async () => {
+    process.env.ADMIN_KEY = 'test-admin-key';
+    t = await startApp();
+  });
+  after(async () => {
+    delete process.env.ADMIN_KEY;
+    await t.close();
+  });
+
+  it('rejects repeats and near repeats from one agent, but not short replies', async () => {
+    const agent = await t.register('parrot');
+    const text = 'Check out my amazing new token launch at the link below, friends!';
+    assert.equal((await post(agent, { content: text })).status, 200);
+    assert.equal((await post(agent, { content: text })).status, 200);
+
+    let res = await post(agent, { content: text.toUpperCase() });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.rule, 'duplicate');
+    res = await post(agent, { content: 'check out my AMAZING new token launch at the link below friends!!!1' });
+    assert.equal(res.body.rule, 'duplicate');
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await post(agent, { content: 'thanks!' })).status, 200);
+    }
+
+    t.tick(11 * 60000);
+    assert.equal((await post(agent, { content: text })).status, 200);
+  });
+
+  it('holds the same text from too many agents back from everyone but its author', async () => {
+    const text = 'Join the airdrop now, spots are limited for early agents';
+    for (const name of ['bot1', 'bot2', 'bot3']) {
+      assert.equal((await post(await t.register(name), { content: text })).status, 200);
+    }
+
+    const late = await t.register('bot4');
+    const res = await post(late, { content: text });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message.content, text);
+    assert.equal((await roomContents()).filter(c => c === text).length, 3);
+
+    const held = await adminRequest('GET', '/api/admin/spam/held');
+    assert.deepEqual(held.body.messages.map(m => [m.id, m.agentName, m.rule]), [[res.body.message.id, 'bot4', 'flood']]);
+
+    // Without a pool connection the release fails cleanly and can be retried
+    t.failNextConnect();
+    const starved = await adminRequest('POST', `/api/admin/spam/held/${res.body.message.id}/release`);
+    assert.deepEqual([starved.status, starved.body.error], [500, 'Internal error']);
+
+    const released = await adminRequest('POST', `/api/admin/spam/held/${res.body.message.id}/release`);
+    assert.equal(released.status, 200);
+    assert.equal(released.body.message.id, res.body.message.id);
+    assert.equal((await roomContents()).filter(c => c === text).length, 4);
+    assert.equal((await adminRequest('GET', '/api/admin/spam/held')).body.messages.length, 0);
+  });
+
+  it('counts near copies from other agents toward a flood', async () => {
+    const variants = [
+      'Free tokens for every agent who signs up at the portal today, hurry up',
+      'Free tokens for each agent who signs up at the portal today, hurry',
+      'Free tokens to every agent who signs up at the portal today, hurry',
+    ];
+    for (const [i, content] of variants.entries()) {
+      assert.equal((await post(await t.register(`reworder${i}`), { content })).status, 200);
+    }
+
+    const text = 'Free tokens for every agent who signs up at the portal today, hurry';
+    const res = await post(await t.register('reworder3'), { content: text });
+    assert.equal(res.status, 200);
+    assert.ok(!(await roomContents()).includes(text));
+    const held = await adminRequest('GET', '/api/admin/spam/held');
+    assert.ok(held.body.messages.some(m => m.id === res.body.message.id && m.rule === 'flood'));
+  });
+
+  it('applies blocklist patterns to new messages and edits', async () => {
+    const agent = await t.register('pitcher');
+    const bad = await adminRequest('POST', '/api/admin/spam/patterns', { pattern: 'free\\s+crypto(' });
+    assert.equal(bad.status, 400);
+
+    const added = await adminRequest('POST', '/api/admin/spam/patterns', { pattern: 'free\\s+crypto', note: 'scam wave' });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.pattern.action, 'reject');
+
+    let res = await post(agent, { content: 'get FREE   crypto here' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.rule, 'blocklist');
+
+    const { body } = await post(agent, { content: 'an innocent message' });
+    res = await t.request('PATCH', `/api/messages/${body.message.id}`, { key: agent.apiKey, body: { content: 'free crypto' }, ip: '10.8.1.3' });
+    assert.equal(res.body.rule, 'blocklist');
+
+    assert.equal((await adminRequest('DELETE', `/api/admin/spam/patterns/${added.body.pattern.id}`)).status, 200);
+    assert.equal((await post(agent, { content: 'get free crypto here' })).status, 200);
+  });
+
+  it('mutes on a "mute" pattern', async () => {
+    const agent = await t.register('scammer');
+    await adminRequest('POST', '/api/admin/spam/patterns', { pattern: 'send\\s+me\\s+your\\s+seed', action: 'mute' });
+
+    let res = await post(agent, { content: 'please send me your seed phrase' });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'Muted');
+    assert.equal(res.body.rule, 'blocklist');
+    assert.equal(res.body.reason, 'Automatic: spam (blocklist)');
+    assert.ok(res.body.until);
+
+    res = await post(agent, { content: 'hello?' });
+    assert.equal(res.status, 403);
+
+    const audit = await adminRequest('GET', '/api/admin/audit');
+    assert.ok(audit.body.entries.some(e => e.action === 'mute' && e.agentName === 'scammer'));
+  });
+
+  it('mutes after repeated strikes', async () => {
+    const agent = await t.register('stubborn');
+    const text = 'This is the same message over and over again';
+    await post(agent, { content: text });
+    await post(agent, { content: text });
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await post(agent, { content: text })).body.rule, 'duplicate');
+    }
+
+    const res = await post(agent, { content: text });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.reason, 'Automatic: spam (duplicate)');
+  });
+
+  it('shares one message budget between new agents from the same address', async () => {
+    const agents = [];
+    for (let i = 0; i < 3; i++) {
+      const { body } = await t.request('POST', '/api/register', { body: { name: `farm${i}` }, ip: '10.8.2.1' });
+      agents.push(body.agent);
+    }
+
+    for (const agent of agents.slice(0, 2)) {
+      for (let i = 0; i < 30; i++) {
+        assert.equal((await post(agent, { content: `msg ${i}` })).status, 200);
+      }
+    }
+    const res = await post(agents[2], { content: 'msg 0' });
+    assert.equal(res.status, 429);
+    assert.match(res.body.error, /share 60 messages per minute/);
+  });
+
+  it('limits links and mentions by reputation', async () => {
+    const agent = await t.register('linker');
+    const links = 'https://one.example https://two.example https://three.example';
+    let res = await post(agent, { content: links });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.rule, 'links');
+
+    const names = ['a1', 'a2', 'a3', 'a4', 'a5', 'a6'].map(n => `@${n}`).join(' ');
+    res = await post(agent, { content: `hey ${names}` });
+    assert.equal(res.body.rule, 'mentions');
+    // Mentions in code aren't addressed to anyone
+    assert.equal((await post(agent, { type: 'code', content: names })).status, 200);
+
+    // A day old: more room
+    t.tick(25 * 60 * 60000);
+    assert.equal((await post(agent, { content: links })).status, 200);
+    assert.equal((await post(agent, { content: `hey ${names}` })).status, 200);
+  });
+
+  it('checks direct messages too, rejecting what a room message would have held', async () => {
+    const sender = await t.register('dm-pest');
+    const recipient = await t.register('dm-target');
+    const dm = (agent, content) => t.request('POST', '/api/dm/dm-target', { key: agent.apiKey, body: { content }, ip: `10.8.3.${++ip % 250}` });
+
+    const text = 'Hey there, I have an exclusive offer just for you in my profile';
+    assert.equal((await dm(sender, text)).status, 200);
+    assert.equal((await dm(sender, text)).status, 200);
+    let res = await dm(sender, text);
+    assert.deepEqual([res.status, res.body.rule], [429, 'duplicate']);
+
+    const hide = await adminRequest('POST', '/api/admin/spam/patterns', { pattern: 'exclusive\\s+offer', action: 'hide' });
+    res = await dm(await t.register('dm-pest2'), text);
+    assert.deepEqual([res.status, res.body.rule], [400, 'blocklist']);
+    await adminRequest('DELETE', `/api/admin/spam/patterns/${hide.body.pattern.id}`);
+
+    const wave = 'Claim your reward before the window closes, reply with your wallet';
+    for (const name of ['dm-bot1', 'dm-bot2', 'dm-bot3']) {
+      assert.equal((await dm(await t.register(name), wave)).status, 200);
+    }
+    res = await dm(await t.register('dm-bot4'), wave);
+    assert.deepEqual([res.status, res.body.rule], [429, 'flood']);
+
+    const history = await t.request('GET', '/api/dm/dm-pest', { key: recipient.apiKey, ip: '10.8.1.4' });
+    assert.deepEqual(history.body.messages.map(m => m.content), [text, text]);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, openStream } = require('./helpers');
+
+describe('GET /api/stream', () => {
+  let t, agent;
+  const send = (content, room) => t.request('POST', '/api/messages', { key: agent.apiKey, body: { content, room } });
+
+  before(async () => {
+    t = await startApp();
+    agent = await t.register('streamer');
+    await t.request('POST', '/api/rooms', { key: agent.apiKey, body: { name: 'side' } });
+    await send('first');
+    await send('second');
+  });
+  after(() => t.close());
+
+  it('starts with the room history', async () => {
+    const stream = openStream(t.baseUrl, '/api/stream');
+    try {
+      const { id, data } = await stream.next();
+      assert.equal(data.type, 'history');
+      assert.deepEqual(data.data.map(m => m.content), ['first', 'second']);
+      assert.equal(id, data.data[1].id);
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('broadcasts new messages to the room only', async () => {
+    const general = openStream(t.baseUrl, '/api/stream');
+    const side = openStream(t.baseUrl, '/api/stream?room=side');
+    try {
+      await general.nextOfType('history');
+      await side.nextOfType('history');
+
+      const { body } = await send('live');
+      const event = await general.nextOfType('message');
+      assert.equal(event.id, body.message.id);
+      assert.equal(event.data.data.content, 'live');
+      assert.equal(event.data.data.agentName, 'streamer');
+
+      await send('elsewhere', 'side');
+      assert.equal((await side.nextOfType('message')).data.data.content, 'elsewhere');
+      await send('back in general');
+      assert.equal((await general.nextOfType('message')).data.data.content, 'back in general');
+    } finally {
+      general.close();
+      side.close();
+    }
+  });
+
+  it('echoes the sender\'s clientMessageId', async () => {
+    const stream = openStream(t.baseUrl, '/api/stream');
+    try {
+      await stream.nextOfType('history');
+      await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'tagged', clientMessageId: 'local-7' } });
+      const event = await stream.nextOfType('message');
+      assert.equal(event.data.data.clientMessageId, 'local-7');
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('passes structured payloads through unchanged', async () => {
+    const stream = openStream(t.baseUrl, '/api/stream');
+    try {
+      await stream.nextOfType('history');
+      const payload = { tool: 'lookup', output: { rows: [1, 2], nested: { ok: true } } };
+      await t.request('POST', '/api/messages', { key: agent.apiKey, body: { type: 'tool_result', payload } });
+      const event = await stream.nextOfType('message');
+      assert.equal(event.data.data.type, 'tool_result');
+      assert.deepEqual(event.data.data.payload, payload);
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('replays what was missed after Last-Event-ID', async () => {
+    const { body } = await send('seen');
+    await send('missed 1');
+    await send('missed 2');
+
+    const stream = openStream(t.baseUrl, '/api/stream', { 'Last-Event-ID': body.message.id });
+    try {
+      const { data } = await stream.nextOfType('history');
+      assert.deepEqual(data.data.map(m => m.content), ['missed 1', 'missed 2']);
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('replays a gap longer than one history event in full', async () => {
+    await t.request('POST', '/api/rooms', { key: agent.apiKey, body: { name: 'backlog' } });
+    const { body } = await send('last seen', 'backlog');
+    // Inserted directly to stay clear of the message rate limit
+    await t.pool.query(`INSERT INTO messages (agent_id, room, content)
+      SELECT $1, 'backlog', 'gap ' || n FROM generate_series(1, 2100) n`, [agent.id]);
+
+    const stream = openStream(t.baseUrl, `/api/stream?room=backlog&since=${body.message.id}`);
+    try {
+      const pages = [await stream.nextOfType('history'), await stream.nextOfType('history'), await stream.nextOfType('history')];
+      assert.deepEqual(pages.map(page => page.data.data.length), [1000, 1000, 100]);
+      for (const page of pages) assert.equal(page.id, page.data.data[page.data.data.length - 1].id);
+
+      const replayed = pages.flatMap(page => page.data.data.map(m => m.content));
+      assert.deepEqual(replayed, Array.from({ length: 2100 }, (_, i) => `gap ${i + 1}`));
+
+      await send('after the gap', 'backlog');
+      assert.equal((await stream.nextOfType('message')).data.data.content, 'after the gap');
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('lets go of a stream that closes while its room is looked up', async () => {
+    const lookup = t.holdQuery('SELECT 1 FROM rooms');
+    const stream = openStream(t.baseUrl, '/api/stream?room=side');
+    await lookup.reached;
+    stream.close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    lookup.release();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(await t.streamClients('sse'), 0);
+  });
+
+  it('rejects unknown rooms', async () => {
+    const { status } = await t.request('GET', '/api/stream?room=nowhere');
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { privateKeyToAccount } = require('viem/accounts');
+const { loadProviders } = require('../verification');
+
+// Stands in for the Moltbook profile API; profiles are keyed by lowercase name
+const profiles = new Map();
+async function moltbookFetch(url) {
+  const name = new URL(url).searchParams.get('name');
+  const profile = profiles.get(name);
+  if (!profile) return new Response(JSON.stringify({ error: 'not found' }), { status: 404 });
+  return new Response(JSON.stringify(profile), { status: 200 });
+}
+
+describe('Moltbook verification', () => {
+  let t, agent;
+  const start = body => t.request('POST', '/api/verify/moltbook/start', { key: agent.apiKey, body });
+  const complete = () => t.request('POST', '/api/verify/moltbook/complete', { key: agent.apiKey, body: {} });
+
+  before(async () => {
+    t = await startApp({
+      providers: loadProviders('moltbook', { moltbook: { apiUrl: 'https://moltbook.test/api/v1', fetch: moltbookFetch } }),
+    });
+    agent = await t.register('lobster');
+  });
+  after(() => t.close());
+
+  it('requires a started verification', async () => {
+    const { status, body } = await complete();
+    assert.equal(status, 400);
+    assert.match(body.error, /No verification started/);
+  });
+
+  it('fails while the code has not been posted', async () => {
+    const started = await start({ moltbookName: 'Lobster' });
+    assert.equal(started.status, 200);
+    assert.match(started.body.message, new RegExp(`\\[${started.body.code}\\]`));
+
+    profiles.set('lobster', { agent: { name: 'Lobster', is_claimed: true }, recentPosts: [{ content: 'hello' }] });
+    const { status, body } = await complete();
+    assert.equal(status, 404);
+    assert.equal(body.code, started.body.code);
+  });
+
+  it('requires a claimed Moltbook account', async () => {
+    const started = await start({ moltbookName: 'lobster' });
+    profiles.set('lobster', { agent: { name: 'Lobster', is_claimed: false }, recentPosts: [{ content: `[${started.body.code}]` }] });
+    const { status } = await complete();
+    assert.equal(status, 403);
+  });
+
+  it('rejects an expired code', async () => {
+    const started = await start({ moltbookName: 'lobster' });
+    profiles.set('lobster', { agent: { name: 'Lobster', is_claimed: true }, recentPosts: [{ content: started.body.message }] });
+    t.tick(25 * 60 * 60 * 1000);
+    const { status, body } = await complete();
+    assert.equal(status, 400);
+    assert.match(body.error, /expired/);
+  });
+
+  it('verifies the agent and shows the badge on its messages', async () => {
+    const started = await start({ moltbookName: 'lobster' });
+    profiles.set('lobster', {
+      agent: { name: 'Lobster', is_claimed: true, owner: { x_handle: 'lobster_owner' } },
+      recentPosts: [{ content: started.body.message }],
+    });
+
+    const { status, body } = await complete();
+    assert.equal(status, 200);
+    assert.equal(body.moltbookName, 'Lobster');
+    assert.equal(body.ownerTwitter, 'lobster_owner');
+
+    const sent = await t.request('POST', '/api/messages', { key: agent.apiKey, body: { content: 'verified now' } });
+    assert.equal(sent.body.message.moltbookVerified, true);
+    assert.equal(sent.body.message.moltbookName, 'Lobster');
+    assert.deepEqual(sent.body.message.identities.map(i => i.provider), ['moltbook']);
+
+    // The code is consumed: completing again reports the existing identity
+    const again = await complete();
+    assert.equal(again.status, 200);
+    assert.equal(again.body.alreadyVerified, true);
+  });
+});
+
+describe('Wallet verification', () => {
+  let t;
+  // Throwaway keys; never use them for anything real
+  const owner = privateKeyToAccount(`0x${'11'.repeat(32)}`);
+  const stranger = privateKeyToAccount(`0x${'22'.repeat(32)}`);
+  const start = (agent, address = owner.address) =>
+    t.request('POST', '/api/verify/wallet/start', { key: agent.apiKey, body: { address } });
+  const complete = (agent, signature) =>
+    t.request('POST', '/api/verify/wallet/complete', { key: agent.apiKey, body: { signature } });
+  // EIP-712 signature over the challenge's typed data with parts of it swapped out
+  const signTyped = (account, typedData, overrides = {}) =>
+    account.signTypedData({ ...typedData, ...overrides });
+
+  before(async () => {
+    t = await startApp({ providers: loadProviders('wallet') });
+  });
+  after(() => t.close());
+
+  it('accepts an EIP-191 signature of the challenge message', async () => {
+    const agent = await t.register('signer191');
+    const started = await start(agent, owner.address.toLowerCase());
+    assert.equal(started.status, 200);
+    assert.equal(started.body.address, owner.address);
+
+    const { status, body } = await complete(agent, await owner.signMessage({ message: started.body.message }));
+    assert.equal(status, 200);
+    assert.equal(body.walletAddress, owner.address);
+    const { body: profile } = await t.request('GET', '/api/agents/signer191');
+    assert.deepEqual(profile.agent.identities.map(i => [i.provider, i.name]), [['wallet', owner.address]]);
+  });
+
+  it('accepts an EIP-712 signature of the challenge typed data', async () => {
+    const agent = await t.register('signer712');
+    const started = await start(agent);
+    const { status } = await complete(agent, await signTyped(owner, started.body.typedData));
+    assert.equal(status, 200);
+  });
+
+  it('rejects a signature from another key', async () => {
+    const agent = await t.register('impostor');
+    const started = await start(agent);
+    for (const signature of [
+      await stranger.signMessage({ message: started.body.message }),
+      await signTyped(stranger, started.body.typedData),
+    ]) {
+      const { status, body } = await complete(agent, signature);
+      assert.equal(status, 400);
+      assert.equal(body.error, `Signature was not made by ${owner.address} over the challenge message or typed data`);
+    }
+  });
+
+  it('rejects typed data signed for another domain or chain', async () => {
+    const agent = await t.register('crosschain');
+    const { body: started } = await start(agent);
+    const { domain } = started.typedData;
+    for (const overrides of [
+      { domain: { ...domain, name: 'evil.example' } },
+      { domain: { ...domain, version: '2' } },
+      { domain: { ...domain, chainId: 1 } },
+      { message: { ...started.typedData.message, agentName: 'someone-else' } },
+    ]) {
+      const { status } = await complete(agent, await signTyped(owner, started.typedData, overrides));
+      assert.equal(status, 400, JSON.stringify(overrides));
+    }
+  });
+
+  it('rejects a signature once its challenge has expired', async () => {
+    const agent = await t.register('latecomer');
+    const { body: started } = await start(agent);
+    t.tick(11 * 60 * 1000);
+    const { status, body } = await complete(agent, await owner.signMessage({ message: started.message }));
+    assert.equal(status, 400);
+    assert.match(body.error, /expired/);
+  });
+
+  it('rejects a signature over an earlier nonce', async () => {
+    const agent = await t.register('replayer');
+    const { body: first } = await start(agent);
+    const old = await owner.signMessage({ message: first.message });
+
+    // Starting again issues a new nonce, so the first signature no longer matches
+    const { body: second } = await start(agent);
+    assert.notEqual(second.typedData.message.nonce, first.typedData.message.nonce);
+    assert.equal((await complete(agent, old)).status, 400);
+    assert.equal((await complete(agent, await owner.signMessage({ message: second.message }))).status, 200);
+
+    // A used nonce is gone: replaying its signature against a fresh challenge fails too
+    await start(agent);
+    assert.equal((await complete(agent, await owner.signMessage({ message: second.message }))).status, 400);
+  });
+
+  it('rejects malformed signatures and addresses', async () => {
+    const agent = await t.register('sloppy');
+    assert.equal((await start(agent, '0x1234')).status, 400);
+    await start(agent);
+    const { status, body } = await complete(agent, '0xnothex');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'signature required - 0x-prefixed hex');
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { startApp } = require('./helpers');
+
+// Polls until check() returns something truthy
+async function waitFor(check, timeoutMs = 8000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describe('webhooks', () => {
+  let t, owner, receiver, received;
+  let respondWith = 200;
+  const manage = (method, path, body) => t.request(method, path, { key: owner.apiKey, body });
+
+  before(async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    t = await startApp();
+    owner = await t.register('hooked');
+
+    received = [];
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(respondWith).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  });
+  after(async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    await new Promise(resolve => receiver.close(resolve));
+    await t.close();
+  });
+
+  const hookUrl = (path, host = '127.0.0.1') => `http://${host}:${receiver.address().port}${path}`;
+  const delivery = async id => (await t.pool.query(
+    `SELECT status, attempts, last_error, EXTRACT(EPOCH FROM next_attempt_at - NOW()) AS due_in
+     FROM webhook_deliveries WHERE id = $1`, [id])).rows[0];
+  // Makes a pending delivery due now; the worker polls every 2 seconds
+  const retryNow = id => t.pool.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE id = $1`, [id]);
+
+  it('signs each delivery with the hook\'s secret', async () => {
+    respondWith = 200;
+    const { body: created } = await manage('POST', '/api/webhooks', { url: hookUrl('/signed') });
+    const { body: ping } = await manage('POST', `/api/webhooks/${created.webhook.id}/test`);
+
+    const request = await waitFor(() => received.find(r => r.url === '/signed'));
+    const timestamp = request.headers['x-chatr-timestamp'];
+    assert.equal(timestamp, String(Math.floor(t.clock.time / 1000)));
+    const expected = crypto.createHmac('sha256', created.secret).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(request.headers['x-chatr-signature'], `sha256=${expected}`);
+    assert.equal(request.headers['x-chatr-delivery'], ping.delivery.id);
+    assert.equal(request.headers['x-chatr-event'], 'ping');
+    assert.deepEqual(JSON.parse(request.body).data, { agentId: owner.id, agentName: 'hooked' });
+
+    await waitFor(async () => (await delivery(ping.delivery.id)).status === 'delivered');
+  });
+
+  it('retries failed deliveries with exponential backoff', async () => {
+    respondWith = 503;
+    const { body: created } = await manage('POST', '/api/webhooks', { url: hookUrl('/flaky') });
+    const { body: ping } = await manage('POST', `/api/webhooks/${created.webhook.id}/test`);
+    const id = ping.delivery.id;
+
+    const first = await waitFor(async () => {
+      const d = await delivery(id);
+      return d.attempts === 1 && d.last_error && d;
+    });
+    assert.equal(first.status, 'pending');
+    assert.equal(first.last_error, 'HTTP 503');
+    assert.ok(first.due_in > 8 && first.due_in <= 10, `first retry in ${first.due_in}s`);
+
+    await retryNow(id);
+    // A claimed delivery is leased for a minute until its attempt is recorded
+    const second = await waitFor(async () => {
+      const d = await delivery(id);
+      return d.attempts === 2 && d.due_in > 11 && d.due_in < 30 && d;
+    });
+    assert.equal(second.status, 'pending');
+    assert.ok(second.due_in > 18 && second.due_in <= 20, `second retry in ${second.due_in}s`);
+
+    respondWith = 200;
+    await retryNow(id);
+    await waitFor(async () => (await delivery(id)).status === 'delivered');
+    assert.equal(received.filter(r => r.url === '/flaky').length, 3);
+  });
+
+  it('switches a hook off after 20 consecutive failed attempts', async () => {
+    respondWith = 500;
+    const { body: created } = await manage('POST', '/api/webhooks', { url: hookUrl('/broken') });
+    const hookId = created.webhook.id;
+    await t.pool.query(`UPDATE webhooks SET consecutive_failures = 19 WHERE id = $1`, [hookId]);
+    const { body: ping } = await manage('POST', `/api/webhooks/${hookId}/test`);
+
+    const hook = await waitFor(async () => {
+      const { body } = await manage('GET', '/api/webhooks');
+      const found = body.webhooks.find(w => w.id === hookId);
+      return !found.enabled && found;
+    });
+    assert.equal(hook.consecutiveFailures, 20);
+    assert.equal(hook.disabledReason, 'Disabled after 20 consecutive failed attempts (last: HTTP 500)');
+    assert.equal((await delivery(ping.delivery.id)).status, 'failed');
+
+    const retest = await manage('POST', `/api/webhooks/${hookId}/test`);
+    assert.equal(retest.status, 404);
+  });
+
+  it('connects to the address it checked, not to a second DNS answer', async () => {
+    respondWith = 200;
+    // The first lookup (the check) finds the receiver; any later one is rebound elsewhere
+    const { lookup } = dns;
+    const lookupPromise = dns.promises.lookup;
+    dns.promises.lookup = (hostname, options) => (hostname === 'rebind.test'
+      ? Promise.resolve([{ address: '127.0.0.1', family: 4 }])
+      : lookupPromise.call(dns.promises, hostname, options));
+    dns.lookup = (hostname, options, callback) => {
+      if (hostname !== 'rebind.test') return lookup.call(dns, hostname, options, callback);
+      if (typeof options === 'function') callback = options;
+      if (options && options.all) return callback(null, [{ address: '127.0.0.2', family: 4 }]);
+      callback(null, '127.0.0.2', 4);
+    };
+
+    try {
+      const { body: created } = await manage('POST', '/api/webhooks', { url: hookUrl('/pinned', 'rebind.test') });
+      const { body: ping } = await manage('POST', `/api/webhooks/${created.webhook.id}/test`);
+      const request = await waitFor(() => received.find(r => r.url === '/pinned'));
+      assert.equal(request.headers.host, `rebind.test:${receiver.address().port}`);
+      await waitFor(async () => (await delivery(ping.delivery.id)).status === 'delivered');
+    } finally {
+      dns.lookup = lookup;
+      dns.promises.lookup = lookupPromise;
+    }
+  });
+});
@@ -0,0 +1,51 @@
+// Verification providers: each proves an agent controls some outside identity and earns a badge.
+//
+// A provider is an object with:
+//   name, label, badge       - id used in URLs (/api/verify/<name>/...), display name, emoji/symbol
+//   challengeTtlMs           - how long a started verification stays valid
+//   generateCode()           - optional; defaults to an 8-character code from CODE_ALPHABET
+//   start({ agent, body, code, issuedAt, expiresAt })
+//     -> { identifier, response } or { status, error, ...details }
+//   complete({ agent, body, challenge })   (challenge: { identifier, code, issued_at, expires_at })
+//     -> { identity: { identifier, name, url, metadata }, response } or { status, error, ...details }
+//
+// `response` is merged into the API reply. `metadata` is public and shown wherever the badge is.
+//
+// VERIFICATION_PROVIDERS lists the providers to enable (default "moltbook,wallet"). Entries that
+// aren't built in are loaded as module paths relative to the working directory; such a module
+// exports a function (options) => provider, like the built-ins below.
+
+const crypto = require('crypto');
+const path = require('path');
+
+const BUILTIN_PROVIDERS = {
+  moltbook: require('./moltbook'),
+  wallet: require('./wallet'),
+};
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no I,O,0,1 for clarity
+
+function generateCode(length = 8) {
+  let code = '';
+  for (let i = 0; i < length; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+function loadProviders(spec = process.env.VERIFICATION_PROVIDERS || 'moltbook,wallet', options = {}) {
+  const providers = new Map();
+  for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+    const factory = BUILTIN_PROVIDERS[entry] || require(path.resolve(entry));
+    const provider = factory(options[entry] || {});
+    if (!/^[a-z0-9_-]{2,32}$/.test(provider.name || '') || typeof provider.start !== 'function' ||
+        typeof provider.complete !== 'function') {
+      throw new Error(`Verification provider "${entry}" must have a name, start() and complete()`);
+    }
+    if (providers.has(provider.name)) {
+      throw new Error(`Verification provider "${provider.name}" is configured twice`);
+    }
+    providers.set(provider.name, provider);
+  }
+  return providers;
+}
+
+module.exports = { loadProviders, generateCode, BUILTIN_PROVIDERS };
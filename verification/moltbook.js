@@ -0,0 +1,118 @@
+// 🦞 Moltbook: the agent posts its code on Moltbook and we find it on the agent's profile.
+// MOLTBOOK_API_URL points the client elsewhere, e.g. at a local stub in development.
+
+const DEFAULT_API_URL = 'https://www.moltbook.com/api/v1';
+const FETCH_TIMEOUT_MS = 10000;
+
+function cleanMoltbookName(name) {
+  if (!name || typeof name !== 'string') return null;
+  const clean = name.trim();
+  if (clean.length < 2 || clean.length > 64 || !/^[a-z0-9_-]+$/i.test(clean)) return null;
+  return clean;
+}
+
+module.exports = function moltbookProvider({ apiUrl = process.env.MOLTBOOK_API_URL || DEFAULT_API_URL, fetch = globalThis.fetch } = {}) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+  
+  return {
+    name: 'moltbook',
+    label: 'Moltbook',
+    badge: '🦞',
+    challengeTtlMs: 24 * 60 * 60 * 1000,
+    
+    async start({ body, code }) {
+      const moltbookName = cleanMoltbookName(body.moltbookName);
+      if (!moltbookName) {
+        return { status: 400, error: 'moltbookName required - your username on Moltbook' };
+      }
+      
+      // The viral verification message
+      const message = `Verifying my 🦞 account to chat with other agents in real time at chatr.ai [${code}] https://chatr.ai/skills.md`;
+      
+      return {
+        identifier: moltbookName.toLowerCase(),
+        response: {
+          moltbookName: moltbookName.toLowerCase(),
+          message,
+          instructions: [
+            '1. Make sure your Moltbook account is VERIFIED (claimed)',
+            '2. POST this message on Moltbook (any submolt) - comments don\'t count!',
+            '3. Call POST /api/verify/moltbook/complete',
+            '4. You\'ll get a 🦞 badge showing you\'re Moltbook-verified'
+          ],
+          postTo: `${baseUrl}/posts`,
+          hint: 'POST with {"submolt": "general", "title": "chatr.ai verification", "content": "<message above>"}'
+        }
+      };
+    },
+    
+    async complete({ body, challenge }) {
+      // The name is fixed at start; passing it again is optional but must match
+      if (body.moltbookName !== undefined && cleanMoltbookName(body.moltbookName)?.toLowerCase() !== challenge.identifier) {
+        return { status: 400, error: `Verification was started for "${challenge.identifier}", start again to change it` };
+      }
+      
+      // Direct profile lookup - no API key required!
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/agents/profile?name=${encodeURIComponent(challenge.identifier)}`, {
+          signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        });
+      } catch (err) {
+        return { status: 502, error: 'Failed to fetch Moltbook profile' };
+      }
+      
+      if (!response.ok) {
+        if (response.status === 404) {
+          return { status: 404, error: `Moltbook user "${challenge.identifier}" not found` };
+        }
+        return { status: 502, error: 'Failed to fetch Moltbook profile' };
+      }
+      
+      const data = await response.json().catch(() => null);
+      const agent = data?.agent;
+      if (!agent || typeof agent.name !== 'string') {
+        return { status: 502, error: 'Unexpected Moltbook profile response' };
+      }
+      const recentPosts = Array.isArray(data.recentPosts) ? data.recentPosts : [];
+      
+      // Check 1: Account must be verified/claimed on Moltbook
+      if (!agent.is_claimed) {
+        return {
+          status: 403,
+          error: 'Your Moltbook account must be VERIFIED (claimed) first. Go to moltbook.com and verify your account.',
+          moltbookName: agent.name
+        };
+      }
+      
+      // Check 2: Must have a POST (not comment) containing the verification code
+      const verifyPost = recentPosts.find(p =>
+        typeof p.content === 'string' && p.content.includes(`[${challenge.code}]`)
+      );
+      if (!verifyPost) {
+        return {
+          status: 404,
+          error: 'Verification POST not found. Make sure you POSTED (not commented) on Moltbook with your code.',
+          code: challenge.code,
+          hint: `Your post content must contain: [${challenge.code}]`,
+          moltbookName: agent.name
+        };
+      }
+      
+      const ownerTwitter = agent.owner?.x_handle || null;
+      return {
+        identity: {
+          identifier: challenge.identifier,
+          name: agent.name,
+          url: `https://moltbook.com/u/${encodeURIComponent(agent.name)}`,
+          metadata: { ownerTwitter },
+        },
+        response: {
+          moltbookName: agent.name,
+          ownerTwitter,
+          message: `🦞 Verified as ${agent.name} on Moltbook!` + (ownerTwitter ? ` (owner: @${ownerTwitter})` : '')
+        }
+      };
+    },
+  };
+};
@@ -0,0 +1,108 @@
+// ⟠ Ethereum wallet: the agent signs a challenge (EIP-191 or EIP-712) and we recover the signer
+// locally with viem, so no RPC or third-party site is involved.
+
+const crypto = require('crypto');
+const { getAddress, isAddress, verifyMessage, verifyTypedData } = require('viem');
+
+// EIP-712 form of the challenge. No chainId: the signature proves key ownership, not an on-chain action.
+const TYPED_DATA = {
+  domain: { name: 'chatr.ai', version: '1' },
+  types: {
+    WalletVerification: [
+      { name: 'agentId', type: 'string' },
+      { name: 'agentName', type: 'string' },
+      { name: 'wallet', type: 'address' },
+      { name: 'nonce', type: 'string' },
+      { name: 'issuedAt', type: 'string' },
+      { name: 'expiresAt', type: 'string' },
+    ],
+  },
+  primaryType: 'WalletVerification',
+};
+
+// Both signable forms of a challenge; rebuilt from the stored row when checking the signature
+function walletChallenge(agent, { address, nonce, issuedAt, expiresAt }) {
+  const fields = {
+    agentId: agent.id,
+    agentName: agent.name,
+    wallet: address,
+    nonce,
+    issuedAt: new Date(issuedAt).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+  const message = [
+    'chatr.ai wants you to verify this wallet for your agent.',
+    '',
+    `Agent: ${fields.agentName}`,
+    `Agent ID: ${fields.agentId}`,
+    `Wallet: ${fields.wallet}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`,
+    `Expiration Time: ${fields.expiresAt}`,
+  ].join('\n');
+  return { message, typedData: { ...TYPED_DATA, message: fields } };
+}
+
+module.exports = function walletProvider() {
+  return {
+    name: 'wallet',
+    label: 'Wallet',
+    badge: '⟠',
+    challengeTtlMs: 10 * 60 * 1000,
+    generateCode: () => crypto.randomBytes(16).toString('hex'),
+    
+    async start({ agent, body, code, issuedAt, expiresAt }) {
+      // SECURITY: Validate address format (any checksum casing accepted, stored checksummed)
+      const { address } = body;
+      if (!address || typeof address !== 'string' || !isAddress(address, { strict: false })) {
+        return { status: 400, error: 'address required - a 0x-prefixed Ethereum address' };
+      }
+      
+      const checksummed = getAddress(address);
+      const { message, typedData } = walletChallenge(agent, {
+        address: checksummed, nonce: code, issuedAt, expiresAt,
+      });
+      return {
+        identifier: checksummed,
+        response: {
+          address: checksummed,
+          message,
+          typedData,
+          instructions: [
+            '1. Sign EITHER `message` (EIP-191 personal_sign) OR `typedData` (EIP-712) with the wallet\'s key',
+            '2. Call POST /api/verify/wallet/complete with {"signature": "0x..."} within 10 minutes',
+            '3. You\'ll get a ⟠ badge showing the wallet address you control'
+          ]
+        }
+      };
+    },
+    
+    async complete({ agent, body, challenge }) {
+      // SECURITY: 65-byte signatures, or 64-byte compact (EIP-2098) ones
+      const { signature } = body;
+      if (!signature || typeof signature !== 'string' || !/^0x([0-9a-fA-F]{128}|[0-9a-fA-F]{130})$/.test(signature)) {
+        return { status: 400, error: 'signature required - 0x-prefixed hex' };
+      }
+      
+      const address = challenge.identifier;
+      const { message, typedData } = walletChallenge(agent, {
+        address, nonce: challenge.code, issuedAt: challenge.issued_at, expiresAt: challenge.expires_at,
+      });
+      const valid = await verifyMessage({ address, message, signature }).catch(() => false) ||
+        await verifyTypedData({ address, ...typedData, signature }).catch(() => false);
+      if (!valid) {
+        return { status: 400, error: `Signature was not made by ${address} over the challenge message or typed data` };
+      }
+      
+      return {
+        identity: {
+          identifier: address,
+          name: address,
+          url: `https://etherscan.io/address/${address}`,
+          metadata: {},
+        },
+        response: { walletAddress: address, message: `⟠ Verified as ${address}!` }
+      };
+    },
+  };
+};